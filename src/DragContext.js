@@ -0,0 +1,98 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {Animated, View, StyleSheet, ViewPropTypes} from 'react-native';
+import DragCoordinator from './DragCoordinator';
+
+/**
+ * Allows to drag rows between all sortable lists inside it.
+ * Renders the dragged row above lists and zones, while it is over another list or a zone.
+ */
+export default class DragContext extends Component {
+  static propTypes = {
+    children: PropTypes.node,
+    style: ViewPropTypes.style,
+  };
+
+  static childContextTypes = {
+    sortableListDragCoordinator: PropTypes.instanceOf(DragCoordinator),
+  };
+
+  state = {
+    layout: null,
+    preview: null,
+  };
+
+  _coordinator = new DragCoordinator(this);
+  _previewLocation = new Animated.ValueXY();
+
+  getChildContext() {
+    return {sortableListDragCoordinator: this._coordinator};
+  }
+
+  render() {
+    const {preview} = this.state;
+
+    return (
+      <View ref={this._onRefContainer} style={this.props.style}>
+        {this.props.children}
+        {preview && (
+          <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+            <Animated.View
+              style={[styles.preview, {
+                width: preview.width,
+                height: preview.height,
+                transform: this._previewLocation.getTranslateTransform(),
+              }]}>
+              {preview.element}
+            </Animated.View>
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  _measure() {
+    if (!this._container) {
+      return;
+    }
+
+    this._container.measure((x, y, width, height, pageX, pageY) => {
+      this.setState({layout: {width, height, pageX, pageY}});
+    });
+  }
+
+  /**
+   * Shows the element of the size with its top left corner at the page point.
+   */
+  _showPreview({element, width, height, pageX, pageY}) {
+    this._movePreview({pageX, pageY});
+    this.setState({preview: {element, width, height}});
+  }
+
+  _movePreview({pageX, pageY}) {
+    const {layout} = this.state;
+
+    this._previewLocation.setValue({
+      x: pageX - (layout ? layout.pageX : 0),
+      y: pageY - (layout ? layout.pageY : 0),
+    });
+  }
+
+  _hidePreview() {
+    if (this.state.preview) {
+      this.setState({preview: null});
+    }
+  }
+
+  _onRefContainer = (component) => {
+    this._container = component;
+  };
+}
+
+const styles = StyleSheet.create({
+  preview: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+  },
+});
@@ -0,0 +1,142 @@
+/**
+ * Tracks sortable lists and drop zones, which share drags,
+ * and the list or the zone under the dragged row.
+ * The overlay (the drag context) shows the dragged row, while lists would clip it.
+ */
+export default class DragCoordinator {
+  _lists = [];
+  _dropZones = [];
+  _targetList = null;
+  _targetZone = null;
+
+  constructor(overlay = null) {
+    this._overlay = overlay;
+  }
+
+  register(list) {
+    this._lists.push(list);
+  }
+
+  unregister(list) {
+    this._lists = this._lists.filter((registeredList) => registeredList !== list);
+
+    if (this._targetList === list) {
+      this._targetList = null;
+    }
+  }
+
+  registerDropZone(zone) {
+    this._dropZones.push(zone);
+  }
+
+  unregisterDropZone(zone) {
+    this._dropZones = this._dropZones.filter((registeredZone) => registeredZone !== zone);
+
+    if (this._targetZone === zone) {
+      this._targetZone = null;
+    }
+  }
+
+  startDrag(sourceList) {
+    this._targetList = null;
+    this._targetZone = null;
+
+    // Lists and zones could be moved since their layouts were measured.
+    this._lists.forEach((list) => {
+      if (list !== sourceList) {
+        list._measureContainer();
+      }
+    });
+    this._dropZones.forEach((zone) => zone._measure());
+
+    if (this._overlay) {
+      this._overlay._measure();
+    }
+  }
+
+  /**
+   * Shows the element of the dragged row in the overlay, {pageX, pageY} is its top left corner.
+   */
+  showPreview({element, width, height, pageX, pageY}) {
+    if (this._overlay) {
+      this._overlay._showPreview({element, width, height, pageX, pageY});
+    }
+  }
+
+  movePreview({pageX, pageY}) {
+    if (this._overlay) {
+      this._overlay._movePreview({pageX, pageY});
+    }
+  }
+
+  hidePreview() {
+    if (this._overlay) {
+      this._overlay._hidePreview();
+    }
+  }
+
+  /**
+   * Finds a drop zone or a list (except the source one) under the touch and notifies it.
+   * Returns {targetList, targetZone}, where at most one of them is not null.
+   */
+  moveRow(sourceList, {key, pageX, pageY, layout, canMoveToList = true}) {
+    const targetZone = this._dropZones.find((zone) => zone._isPointInside(pageX, pageY)) || null;
+    const targetList = !targetZone && canMoveToList && this._lists.find((list) =>
+      list !== sourceList && list._isPointInsideContainer(pageX, pageY)
+    ) || null;
+
+    this._setTargetZone(targetZone);
+
+    if (this._targetList && this._targetList !== targetList) {
+      this._targetList._onExternalRowLeave();
+    }
+
+    this._targetList = targetList;
+
+    if (targetList) {
+      targetList._onExternalRowMove({key, pageX, pageY, layout});
+    }
+
+    return {targetList, targetZone};
+  }
+
+  cancelDrag(sourceList) {
+    if (this._targetList) {
+      this._targetList._onExternalRowLeave();
+    }
+
+    this._targetList = null;
+    this._setTargetZone(null);
+  }
+
+  /**
+   * Returns the zone, which the row was dropped in, or null.
+   */
+  dropRowInZone(sourceList) {
+    const targetZone = this._targetZone;
+
+    this.cancelDrag(sourceList);
+
+    return targetZone;
+  }
+
+  dropRow(sourceList, {key, data}) {
+    const targetList = this._targetList;
+
+    this._targetList = null;
+
+    return targetList ? targetList._onExternalRowDrop({key, data}) : null;
+  }
+
+  _setTargetZone(zone) {
+    if (this._targetZone && this._targetZone !== zone) {
+      this._targetZone._setActive(false);
+    }
+
+    this._targetZone = zone;
+
+    if (zone) {
+      zone._setActive(true);
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {View, ViewPropTypes} from 'react-native';
+
+/**
+ * Starts dragging of the row, which contains it, on touch.
+ * Touches outside of handles are not handled by the row.
+ */
+export default class DragHandle extends Component {
+  static propTypes = {
+    children: PropTypes.node,
+    style: ViewPropTypes.style,
+  };
+
+  static contextTypes = {
+    sortableListRow: PropTypes.object,
+  };
+
+  componentDidMount() {
+    if (this.context.sortableListRow) {
+      this.context.sortableListRow.registerDragHandle();
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.context.sortableListRow) {
+      this.context.sortableListRow.unregisterDragHandle();
+    }
+  }
+
+  render() {
+    return (
+      <View
+        style={this.props.style}
+        onStartShouldSetResponderCapture={this._onStartShouldSetResponderCapture}>
+        {this.props.children}
+      </View>
+    );
+  }
+
+  _onStartShouldSetResponderCapture = () => {
+    if (this.context.sortableListRow) {
+      this.context.sortableListRow.onDragHandleTouchStart();
+    }
+
+    // Only marks the touch, the row becomes the responder.
+    return false;
+  };
+}
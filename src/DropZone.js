@@ -0,0 +1,87 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import {View, ViewPropTypes} from 'react-native';
+import DragCoordinator from './DragCoordinator';
+
+/**
+ * A target outside of lists, which takes rows dropped on it.
+ * Should be rendered inside `SortableList.DragContext`.
+ */
+export default class DropZone extends Component {
+  static propTypes = {
+    zoneId: PropTypes.any.isRequired,
+    // A node or a function, which takes {active} and returns a node.
+    children: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+    style: ViewPropTypes.style,
+    activeStyle: ViewPropTypes.style,
+  };
+
+  static contextTypes = {
+    sortableListDragCoordinator: PropTypes.instanceOf(DragCoordinator),
+  };
+
+  state = {
+    active: false,
+    layout: null,
+  };
+
+  componentDidMount() {
+    if (this.context.sortableListDragCoordinator) {
+      this.context.sortableListDragCoordinator.registerDropZone(this);
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.context.sortableListDragCoordinator) {
+      this.context.sortableListDragCoordinator.unregisterDropZone(this);
+    }
+  }
+
+  render() {
+    const {children, style, activeStyle} = this.props;
+    const {active} = this.state;
+
+    return (
+      <View
+        ref={this._onRefContainer}
+        style={[style, active && activeStyle]}
+        onLayout={this._onLayout}>
+        {typeof children === 'function' ? children({active}) : children}
+      </View>
+    );
+  }
+
+  _measure() {
+    if (!this._container) {
+      return;
+    }
+
+    this._container.measure((x, y, width, height, pageX, pageY) => {
+      this.setState({layout: {width, height, pageX, pageY}});
+    });
+  }
+
+  _isPointInside(pageX, pageY) {
+    const {layout} = this.state;
+
+    return !!layout &&
+      layout.pageX <= pageX &&
+      pageX <= layout.pageX + layout.width &&
+      layout.pageY <= pageY &&
+      pageY <= layout.pageY + layout.height;
+  }
+
+  _setActive(active) {
+    if (this.state.active !== active) {
+      this.setState({active});
+    }
+  }
+
+  _onLayout = () => {
+    this._measure();
+  };
+
+  _onRefContainer = (component) => {
+    this._container = component;
+  };
+}
@@ -1,14 +1,23 @@
 import React, {Component, cloneElement} from 'react';
 import PropTypes from 'prop-types';
-import {Animated, PanResponder, StyleSheet} from 'react-native';
-import {shallowEqual} from './utils';
+import {Animated, PanResponder, StyleSheet, View} from 'react-native';
+import {createAnimation, shallowEqual} from './utils';
+
+// Offset in px between elements of a stack.
+const STACK_OFFSET = 4;
 
 export default class Row extends Component {
   static propTypes = {
     children: PropTypes.node,
     animated: PropTypes.bool,
+    // The row was added and is not measured yet, it is hidden until it is measured.
+    entering: PropTypes.bool,
+    // The row was removed, it fades out.
+    exiting: PropTypes.bool,
     disabled: PropTypes.bool,
     horizontal: PropTypes.bool,
+    // Number of rows in a line of the grid.
+    numColumns: PropTypes.number,
     style: Animated.View.propTypes.style,
     location: PropTypes.shape({
       x: PropTypes.number,
@@ -16,6 +25,31 @@ export default class Row extends Component {
     }),
     manuallyActivateRows: PropTypes.bool,
     activationTime: PropTypes.number,
+    // Config of relocations, fades and the activation, see `createAnimation`.
+    // Only relocations use the native driver, fades and the activation animate styles,
+    // which are not supported by it (e.g. shadows).
+    animationConfig: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+    // Target values of styles of the active row or a function,
+    // which takes the activation value (from 0 to 1) and returns styles.
+    activationAnimation: PropTypes.oneOfType([
+      PropTypes.shape({
+        scale: PropTypes.number,
+        opacity: PropTypes.number,
+        shadowOpacity: PropTypes.number,
+        shadowRadius: PropTypes.number,
+      }),
+      PropTypes.func,
+    ]),
+    // Left offset of the row’s content in px, used for nested rows of a tree.
+    indentation: PropTypes.number,
+    // Elements, which are rendered as a stack under the row’s content.
+    stackedChildren: PropTypes.arrayOf(PropTypes.node),
+    accessibilityActions: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      label: PropTypes.string,
+    })),
+    onAccessibilityAction: PropTypes.func,
+    accessibilityLabel: PropTypes.string,
 
     // Will be called on long press.
     onActivate: PropTypes.func,
@@ -25,26 +59,71 @@ export default class Row extends Component {
     // Will be called, when user (directly) move the view.
     onMove: PropTypes.func,
 
-    // Will be called, when user release the view.
+    // Will be called, when the exiting row faded out.
+    onExited: PropTypes.func,
+
+    // Will be called, when user release the view
+    // or the responder is terminated while dragging (with {cancelled: true}).
     onRelease: PropTypes.func,
   };
 
   static defaultProps = {
     location: {x: 0, y: 0},
     activationTime: 200,
+    numColumns: 1,
+    animationConfig: {type: 'timing', duration: 300},
+  };
+
+  static childContextTypes = {
+    sortableListRow: PropTypes.object,
   };
 
   constructor(props) {
     super(props);
 
     this._animatedLocation = new Animated.ValueXY(props.location);
+    // Offset of the active row from its location, it follows the touch.
+    this._animatedDrag = new Animated.ValueXY({x: 0, y: 0});
+    this._animatedOpacity = new Animated.Value(props.entering ? 0 : 1);
+    this._animatedActivation = new Animated.Value(0);
     this._location = props.location;
+    this._dragOffset = {x: 0, y: 0};
+
+    // The row is moved with transforms, so moves do not cause layouts
+    // and relocations can be run by the native driver.
+    // The drag follows the touch through JS, pan responders can not drive native events.
+    this._transform = [
+      {translateX: Animated.add(this._animatedLocation.x, this._animatedDrag.x)},
+      {translateY: Animated.add(this._animatedLocation.y, this._animatedDrag.y)},
+    ];
+    this._gestureMoveHandlers = {
+      horizontal: Animated.event([null, {dx: this._animatedDrag.x}]),
+      vertical: Animated.event([null, {dy: this._animatedDrag.y}]),
+      grid: Animated.event([null, {dx: this._animatedDrag.x, dy: this._animatedDrag.y}]),
+    };
 
     this._animatedLocation.addListener(this._onChangeLocation);
+    this._animatedDrag.addListener(this._onChangeDrag);
   }
 
+  /**
+   * Count of mounted drag handles inside the row.
+   */
+  _dragHandlesCount = 0;
+
   _panResponder = PanResponder.create({
-    onStartShouldSetPanResponder: () => !this._isDisabled(),
+    onStartShouldSetPanResponderCapture: () => {
+      // Drag handles mark the touch in the capture phase after this.
+      this._touchStartedOnDragHandle = false;
+      return false;
+    },
+
+    onStartShouldSetPanResponder: () => {
+      if (this._isDisabled()) return false;
+
+      // If the row has drag handles, touches outside of them go to scroll and children.
+      return this._dragHandlesCount === 0 || this._touchStartedOnDragHandle;
+    },
 
     onMoveShouldSetPanResponder: (e, gestureState) => {
       if (this._isDisabled()) return false;
@@ -52,6 +131,10 @@ export default class Row extends Component {
       const vy = Math.abs(gestureState.vy)
       const vx = Math.abs(gestureState.vx)
 
+      if (this._isInGrid()) {
+        return this._active;
+      }
+
       return this._active && (this.props.horizontal ? vx > vy : vy > vx);
     },
 
@@ -59,18 +142,19 @@ export default class Row extends Component {
       // Returns whether this component should block native components from becoming the JS
       // responder. Returns true by default. Is currently only supported on android.
       // NOTE: Returning false here allows us to scroll unless it's a long press on a row.
-      return false;
+      // A touch on a drag handle activates the row immediately, so it blocks scrolling.
+      return !!this._touchStartedOnDragHandle;
     },
 
     onPanResponderGrant: (e, gestureState) => {
       e.persist();
 
       this._target = e.nativeEvent.target;
-      this._prevGestureState = {
-        ...gestureState,
-        moveX: gestureState.x0,
-        moveY: gestureState.y0,
-      };
+
+      if (this._touchStartedOnDragHandle) {
+        this._toggleActive(e, gestureState);
+        return;
+      }
 
       if (this.props.manuallyActivateRows) return;
 
@@ -94,12 +178,10 @@ export default class Row extends Component {
         return;
       }
 
-      const elementMove = this._mapGestureToMove(this._prevGestureState, gestureState);
-      this.moveBy(elementMove);
-      this._prevGestureState = {...gestureState};
+      this._getGestureMoveHandler()(e, gestureState);
 
       if (this.props.onMove) {
-        this.props.onMove(e, gestureState, this._nextLocation);
+        this.props.onMove(e, gestureState, this._getDraggedLocation());
       }
     },
 
@@ -133,7 +215,7 @@ export default class Row extends Component {
       // If responder terminated while dragging,
       // deactivate the element and move to the initial location.
       if (this._active) {
-        this._toggleActive(e, gestureState);
+        this._cancelActive(e, gestureState);
 
         if (shallowEqual(this.props.location, this._location)) {
           this._relocate(this.props.location);
@@ -142,49 +224,133 @@ export default class Row extends Component {
     },
   });
 
+  getChildContext() {
+    return {
+      sortableListRow: {
+        registerDragHandle: this._registerDragHandle,
+        unregisterDragHandle: this._unregisterDragHandle,
+        onDragHandleTouchStart: this._onDragHandleTouchStart,
+      },
+    };
+  }
+
   componentWillReceiveProps(nextProps) {
     if (!this._active && !shallowEqual(this._location, nextProps.location)) {
       const animated = !this._active && nextProps.animated;
       this._relocate(nextProps.location, animated);
     }
+
+    if (nextProps.exiting && !this.props.exiting) {
+      this._fadeOut();
+    } else if (!nextProps.entering && !nextProps.exiting && (this.props.entering || this.props.exiting)) {
+      this._fadeIn();
+    }
   }
 
   shouldComponentUpdate(nextProps, nextState) {
     return this.props.disabled !== nextProps.disabled ||
+           this.props.entering !== nextProps.entering ||
+           this.props.exiting !== nextProps.exiting ||
+           this.props.activationAnimation !== nextProps.activationAnimation ||
+           this.props.stackedChildren !== nextProps.stackedChildren ||
+           this.props.indentation !== nextProps.indentation ||
+           this.props.accessibilityActions !== nextProps.accessibilityActions ||
+           this.props.accessibilityLabel !== nextProps.accessibilityLabel ||
+           this.props.numColumns !== nextProps.numColumns ||
            this.props.children !== nextProps.children ||
            !shallowEqual(this.props.style, nextProps.style);
   }
 
+  /**
+   * Activates the row without a gesture.
+   */
+  activate(e, gestureState) {
+    if (!this._active) {
+      this._cancelLongPress();
+      this._toggleActive(e, gestureState);
+    }
+  }
+
+  /**
+   * Releases the active row without a gesture, a cancelled row is released as on a terminated gesture.
+   */
+  release(e, gestureState, {cancelled = false} = {}) {
+    if (!this._active) {
+      return;
+    }
+
+    if (cancelled) {
+      this._cancelActive(e, gestureState);
+    } else {
+      this._toggleActive(e, gestureState);
+    }
+  }
+
   moveBy({dx = 0, dy = 0, animated = false}) {
-    this._nextLocation = {
+    this._relocate({
       x: this._location.x + dx,
       y: this._location.y + dy,
-    };
-    this._relocate(this._nextLocation, animated);
+    }, animated);
   }
 
   render() {
-    const {children, style, horizontal} = this.props;
+    const {
+      children, style, horizontal, numColumns, stackedChildren, indentation,
+      accessibilityActions, accessibilityLabel,
+    } = this.props;
     const rowStyle = [
-      style, styles.container, this._animatedLocation.getLayout(),
-      horizontal ? styles.horizontalContainer : styles.verticalContainer,
+      style, styles.container, {transform: this._transform},
+      this._isInGrid()
+        ? {width: `${100 / numColumns}%`}
+        : horizontal ? styles.horizontalContainer : styles.verticalContainer,
+    ];
+    // Opacity and activation styles are animated by JS,
+    // so they are applied to the inner view, not to the natively moved one.
+    const contentStyle = [
+      styles.content, {opacity: this._animatedOpacity}, this._getActivationStyle(),
+      indentation ? {marginLeft: indentation} : null,
     ];
 
     return (
       <Animated.View
         {...this._panResponder.panHandlers}
         style={rowStyle}
+        // A sortable row is focused as a whole, so screen readers find its actions.
+        accessible={!!accessibilityActions}
+        accessibilityLabel={accessibilityLabel}
+        accessibilityActions={accessibilityActions}
+        onAccessibilityAction={accessibilityActions ? this.props.onAccessibilityAction : null}
         onLayout={this._onLayout}>
-        {this.props.manuallyActivateRows && children
-          ? cloneElement(children, {
-            toggleRowActive: this._toggleActive,
-          })
-          : children
-        }
+        <Animated.View style={contentStyle}>
+          {stackedChildren && this._renderStack(stackedChildren)}
+          {this.props.manuallyActivateRows && children
+            ? cloneElement(children, {
+              toggleRowActive: this._toggleActive,
+            })
+            : children
+          }
+        </Animated.View>
       </Animated.View>
     );
   }
 
+  _renderStack(stackedChildren) {
+    // The first element is the closest to the content, so it is rendered last.
+    return stackedChildren.map((child, index) => (
+      <View
+        key={index}
+        pointerEvents="none"
+        style={[styles.stackedChild, {
+          transform: [
+            {translateX: STACK_OFFSET * (index + 1)},
+            {translateY: STACK_OFFSET * (index + 1)},
+          ],
+        }]}>
+        {child}
+      </View>
+    )).reverse();
+  }
+
   _cancelLongPress() {
     clearTimeout(this._longPressTimer);
   }
@@ -194,9 +360,8 @@ export default class Row extends Component {
 
     if (animated) {
       this._isAnimationRunning = true;
-      Animated.timing(this._animatedLocation, {
-        toValue: nextLocation,
-        duration: 300,
+      createAnimation(this._animatedLocation, nextLocation, this.props.animationConfig, {
+        useNativeDriver: true,
       }).start(() => {
         this._isAnimationRunning = false;
       });
@@ -205,20 +370,115 @@ export default class Row extends Component {
     }
   }
 
+  _fadeIn() {
+    createAnimation(this._animatedOpacity, 1, this.props.animationConfig).start();
+  }
+
+  _fadeOut() {
+    createAnimation(this._animatedOpacity, 0, this.props.animationConfig).start(({finished}) => {
+      if (finished && this.props.onExited) {
+        this.props.onExited();
+      }
+    });
+  }
+
+  _getActivationStyle() {
+    const {activationAnimation} = this.props;
+
+    if (!activationAnimation) {
+      return null;
+    }
+
+    if (typeof activationAnimation === 'function') {
+      return activationAnimation(this._animatedActivation);
+    }
+
+    const {scale, opacity, shadowOpacity, shadowRadius} = activationAnimation;
+    const interpolate = (from, to) => this._animatedActivation.interpolate({
+      inputRange: [0, 1],
+      outputRange: [from, to],
+    });
+    const activationStyle = {};
+
+    if (scale !== undefined) {
+      activationStyle.transform = [{scale: interpolate(1, scale)}];
+    }
+
+    if (opacity !== undefined) {
+      activationStyle.opacity = Animated.multiply(this._animatedOpacity, interpolate(1, opacity));
+    }
+
+    if (shadowOpacity !== undefined) {
+      activationStyle.shadowOpacity = interpolate(0, shadowOpacity);
+    }
+
+    if (shadowRadius !== undefined) {
+      activationStyle.shadowRadius = interpolate(0, shadowRadius);
+    }
+
+    return activationStyle;
+  }
+
+  _animateActivation() {
+    if (this.props.activationAnimation) {
+      createAnimation(this._animatedActivation, this._active ? 1 : 0, this.props.animationConfig).start();
+    }
+  }
+
   _toggleActive = (e, gestureState) => {
     const callback = this._active ? this.props.onRelease : this.props.onActivate;
 
     this._active = !this._active;
+    this._animateActivation();
+
+    if (!this._active) {
+      this._applyDrag();
+    }
 
     if (callback) {
       callback(e, gestureState, this._location);
     }
   };
 
-  _mapGestureToMove(prevGestureState, gestureState) {
+  _cancelActive(e, gestureState) {
+    this._active = false;
+    this._animateActivation();
+    this._applyDrag();
+
+    if (this.props.onRelease) {
+      this.props.onRelease(e, gestureState, this._location, {cancelled: true});
+    }
+  }
+
+  _getGestureMoveHandler() {
+    if (this._isInGrid()) {
+      return this._gestureMoveHandlers.grid;
+    }
+
     return this.props.horizontal
-      ? {dx: gestureState.moveX - prevGestureState.moveX}
-      : {dy: gestureState.moveY - prevGestureState.moveY};
+      ? this._gestureMoveHandlers.horizontal
+      : this._gestureMoveHandlers.vertical;
+  }
+
+  _getDraggedLocation() {
+    return {
+      x: this._location.x + this._dragOffset.x,
+      y: this._location.y + this._dragOffset.y,
+    };
+  }
+
+  /**
+   * Moves the location by the drag offset and resets the offset.
+   */
+  _applyDrag() {
+    const draggedLocation = this._getDraggedLocation();
+
+    this._animatedDrag.setValue({x: 0, y: 0});
+    this._relocate(draggedLocation);
+  }
+
+  _isInGrid() {
+    return this.props.numColumns > 1;
   }
 
   _isDisabled() {
@@ -234,10 +494,26 @@ export default class Row extends Component {
       nativeEvent.locationY <= this._layout.height;
   }
 
+  _registerDragHandle = () => {
+    this._dragHandlesCount++;
+  };
+
+  _unregisterDragHandle = () => {
+    this._dragHandlesCount--;
+  };
+
+  _onDragHandleTouchStart = () => {
+    this._touchStartedOnDragHandle = true;
+  };
+
   _onChangeLocation = (value) => {
     this._location = value;
   };
 
+  _onChangeDrag = (value) => {
+    this._dragOffset = value;
+  };
+
   _onLayout = (e) => {
       this._layout = e.nativeEvent.layout;
 
@@ -250,13 +526,19 @@ export default class Row extends Component {
 const styles = StyleSheet.create({
   container: {
     position: 'absolute',
+    top: 0,
+    left: 0,
   },
   horizontalContainer: {
-    top: 0,
     bottom: 0,
   },
   verticalContainer: {
-    left: 0,
     right: 0,
   },
+  content: {
+    flexGrow: 1,
+  },
+  stackedChild: {
+    ...StyleSheet.absoluteFillObject,
+  },
 });
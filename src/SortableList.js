@@ -1,11 +1,38 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
-import {ScrollView, View, StyleSheet, Platform, RefreshControl, ViewPropTypes} from 'react-native';
-import {shallowEqual, swapArrayElements} from './utils';
+import {AccessibilityInfo, ScrollView, View, StyleSheet, Platform, RefreshControl, ViewPropTypes} from 'react-native';
+import {
+  flattenSections,
+  getOrderMoves,
+  getRankBetween,
+  getSectionsOrder,
+  getTreeChanges,
+  shallowEqual,
+  swapArrayElements,
+} from './utils';
 import Row from './Row';
+import DragContext from './DragContext';
+import DragHandle from './DragHandle';
+import DropZone from './DropZone';
+import DragCoordinator from './DragCoordinator';
 
-const AUTOSCROLL_INTERVAL = 100;
+// Autoscroll frames are considered to be at most this long in ms.
+const MAX_AUTOSCROLL_FRAME_TIME = 100;
 const ZINDEX = Platform.OS === 'ios' ? 'zIndex' : 'elevation';
+// Is used for rows, which were added, but were not measured yet.
+const EMPTY_LAYOUT = {x: 0, y: 0, width: 0, height: 0};
+const ROW_ACCESSIBILITY_ACTIONS = [
+  {name: 'moveUp', label: 'Move up'},
+  {name: 'moveDown', label: 'Move down'},
+  {name: 'moveToTop', label: 'Move to top'},
+  {name: 'moveToBottom', label: 'Move to bottom'},
+];
+const HORIZONTAL_ROW_ACCESSIBILITY_ACTIONS = [
+  {name: 'moveUp', label: 'Move left'},
+  {name: 'moveDown', label: 'Move right'},
+  {name: 'moveToTop', label: 'Move to start'},
+  {name: 'moveToBottom', label: 'Move to end'},
+];
 
 function uniqueRowKey(key) {
   return `${key}${uniqueRowKey.id}`
@@ -14,36 +41,109 @@ function uniqueRowKey(key) {
 uniqueRowKey.id = 0
 
 export default class SortableList extends Component {
+  static DragContext = DragContext;
+  static DragHandle = DragHandle;
+  static DropZone = DropZone;
+
   static propTypes = {
-    data: PropTypes.oneOfType([PropTypes.array, PropTypes.object]).isRequired,
+    data: PropTypes.oneOfType([PropTypes.array, PropTypes.object]),
     order: PropTypes.arrayOf(PropTypes.any),
+    keyExtractor: PropTypes.func,
+    makeKeyForIndex: PropTypes.func,
+    sections: PropTypes.arrayOf(PropTypes.shape({
+      key: PropTypes.any.isRequired,
+      data: PropTypes.oneOfType([PropTypes.array, PropTypes.object]).isRequired,
+      order: PropTypes.arrayOf(PropTypes.any),
+    })),
     style: ViewPropTypes.style,
     contentContainerStyle: ViewPropTypes.style,
     innerContainerStyle: ViewPropTypes.style,
     sortingEnabled: PropTypes.bool,
     scrollEnabled: PropTypes.bool,
     horizontal: PropTypes.bool,
+    numColumns: PropTypes.number,
+    tree: PropTypes.bool,
+    indentationWidth: PropTypes.number,
     showsVerticalScrollIndicator: PropTypes.bool,
     showsHorizontalScrollIndicator: PropTypes.bool,
     refreshControl: PropTypes.element,
     autoscrollAreaSize: PropTypes.number,
+    autoscrollMaxSpeed: PropTypes.number,
+    autoscrollEasing: PropTypes.func,
     rowActivationTime: PropTypes.number,
+    reorderThrottle: PropTypes.number,
+    placeholderMode: PropTypes.bool,
+    animationConfig: PropTypes.oneOfType([
+      PropTypes.shape({
+        type: PropTypes.oneOf(['timing', 'spring']),
+      }),
+      PropTypes.func,
+    ]),
+    activationAnimation: PropTypes.oneOfType([
+      PropTypes.shape({
+        scale: PropTypes.number,
+        opacity: PropTypes.number,
+        shadowOpacity: PropTypes.number,
+        shadowRadius: PropTypes.number,
+      }),
+      PropTypes.func,
+    ]),
+    historySize: PropTypes.number,
     manuallyActivateRows: PropTypes.bool,
-
+    selectionMode: PropTypes.bool,
+    selectedKeys: PropTypes.arrayOf(PropTypes.any),
+    virtualized: PropTypes.bool,
+    initialNumToRender: PropTypes.number,
+    estimatedRowSize: PropTypes.number,
+    renderAheadDistance: PropTypes.number,
+
+    canMoveRow: PropTypes.func,
+    isRowLocked: PropTypes.func,
+    getRowRank: PropTypes.func,
+    getRowAccessibilityLabel: PropTypes.func,
     renderRow: PropTypes.func.isRequired,
+    renderSectionHeader: PropTypes.func,
+    renderPlaceholder: PropTypes.func,
     renderHeader: PropTypes.func,
     renderFooter: PropTypes.func,
 
     onChangeOrder: PropTypes.func,
+    onChangeTree: PropTypes.func,
+    onSelectionChange: PropTypes.func,
+    onDropRequest: PropTypes.func,
+    onDropInZone: PropTypes.func,
     onActivateRow: PropTypes.func,
     onReleaseRow: PropTypes.func,
+    onDragStart: PropTypes.func,
+    onDragMove: PropTypes.func,
+    onRowMoved: PropTypes.func,
+    onDragEnd: PropTypes.func,
+    onRemoveRow: PropTypes.func,
+    onInsertRow: PropTypes.func,
+  };
+
+  static contextTypes = {
+    sortableListDragCoordinator: PropTypes.instanceOf(DragCoordinator),
   };
 
   static defaultProps = {
     sortingEnabled: true,
     scrollEnabled: true,
+    numColumns: 1,
+    tree: false,
+    indentationWidth: 20,
     autoscrollAreaSize: 60,
+    autoscrollMaxSpeed: 1000,
+    autoscrollEasing: (depth) => depth,
+    reorderThrottle: 32,
+    placeholderMode: false,
+    historySize: 20,
     manuallyActivateRows: false,
+    selectionMode: false,
+    virtualized: false,
+    initialNumToRender: 10,
+    estimatedRowSize: 50,
+    renderAheadDistance: 500,
     showsVerticalScrollIndicator: true,
     showsHorizontalScrollIndicator: true
   }
@@ -61,32 +161,67 @@ export default class SortableList extends Component {
 
   _contentOffset = {x: 0, y: 0};
 
+  /**
+   * The id of the next autoscroll frame and the speed in px per second, negative to the beginning.
+   */
+  _autoScrollFrame = null;
+  _autoScrollSpeed = 0;
+
+  /**
+   * The timeout of the throttled reorder, which handles the last skipped location.
+   */
+  _moveTimeout = null;
+
+  /**
+   * The order, which a drag cancelled by a data update restores instead of the order before the drag.
+   */
+  _restoredOrder = null;
+
+  /**
+   * Orders before and after reorders by a user, used by `undo()` and `redo()`.
+   */
+  _undoOrders = [];
+  _redoOrders = [];
+
+  /**
+   * Flat data and order of sections, where headers are rows too.
+   */
+  _sections = this.props.sections ? flattenSections(this.props.sections) : null;
+
   state = {
     animated: false,
-    order: this.props.order || Object.keys(this.props.data),
+    order: this._sections ? this._sections.order : this.props.order || this._getDefaultOrder(this.props),
     rowsLayouts: null,
     containerLayout: null,
-    data: this.props.data,
+    data: this._sections ? this._sections.data : this._getKeyedData(this.props),
     activeRowKey: null,
     activeRowIndex: null,
+    placeholderIndex: null,
     releasedRowKey: null,
+    dragPreviewShown: false,
+    externalRow: null,
+    exitingRows: {},
+    selectedKeys: this.props.selectedKeys || [],
+    parentKeys: this.props.tree ? this._getParentKeys(this._getKeyedData(this.props)) : null,
+    draggedDepth: 0,
+    visibleRange: {first: 0, last: this.props.initialNumToRender - 1},
     sortingEnabled: this.props.sortingEnabled,
     scrollEnabled: this.props.scrollEnabled
   };
 
   componentWillMount() {
-    this.state.order.forEach((key) => {
+    this._getInitiallyRenderedKeys(this.state.order).forEach((key) => {
       this._rowsLayouts[key] = new Promise((resolve) => {
         this._resolveRowLayout[key] = resolve;
       });
     });
 
-    if (this.props.renderHeader && !this.props.horizontal) {
+    if (this.props.renderHeader) {
       this._headerLayout = new Promise((resolve) => {
         this._resolveHeaderLayout = resolve;
       });
     }
-    if (this.props.renderFooter && !this.props.horizontal) {
+    if (this.props.renderFooter) {
       this._footerLayout = new Promise((resolve) => {
         this._resolveFooterLayout = resolve;
       });
@@ -95,34 +230,118 @@ export default class SortableList extends Component {
 
   componentDidMount() {
     this._onUpdateLayouts();
+
+    if (this.context.sortableListDragCoordinator) {
+      this.context.sortableListDragCoordinator.register(this);
+    }
+  }
+
+  componentWillUnmount() {
+    this._stopAutoScroll();
+    clearTimeout(this._moveTimeout);
+
+    if (this.context.sortableListDragCoordinator) {
+      if (this.state.dragPreviewShown) {
+        this.context.sortableListDragCoordinator.hidePreview();
+      }
+
+      this.context.sortableListDragCoordinator.unregister(this);
+    }
   }
 
   componentWillReceiveProps(nextProps) {
-    const { containerLayout, data, order, rowsLayouts} = this.state;
-    let {data: nextData, order: nextOrder} = nextProps;
+    const {data, order, rowsLayouts} = this.state;
+    const prevSections = this._sections;
+    let {order: nextOrder} = nextProps;
+    let nextData = this._getKeyedData(nextProps);
+
+    // The order of a keyed array is the order of its items, when they were reordered or changed,
+    // else the current order is kept, so updated items do not revert the last drop.
+    if (!nextOrder && nextProps.keyExtractor && Array.isArray(nextProps.data)) {
+      const nextDefaultOrder = this._getDefaultOrder(nextProps);
+      const isArrayOrderChanged = !this.props.keyExtractor || !Array.isArray(this.props.data) ||
+        !shallowEqual(this._getDefaultOrder(this.props), nextDefaultOrder);
+
+      if (isArrayOrderChanged) {
+        nextOrder = nextDefaultOrder;
+      } else {
+        // While a row is dragged, the current order is the base of the drag.
+        nextOrder = this.state.activeRowKey !== null ? this._orderBeforeMove : order;
+      }
+    }
+
+    if (nextProps.selectedKeys && nextProps.selectedKeys !== this.props.selectedKeys) {
+      this.setState({selectedKeys: nextProps.selectedKeys});
+    }
+
+    if (nextProps.tree && nextProps.data !== this.props.data) {
+      this.setState({parentKeys: this._getParentKeys(nextData)});
+    }
+
+    if (nextProps.sections) {
+      if (nextProps.sections === this.props.sections) {
+        return;
+      }
+
+      this._sections = flattenSections(nextProps.sections);
+      nextData = this._sections.data;
+      nextOrder = this._sections.order;
+    }
 
     if (data && nextData && !shallowEqual(data, nextData)) {
-      nextOrder = nextOrder || Object.keys(nextData)
+      nextOrder = nextOrder || this._getDefaultOrder(nextProps);
+      this._updateHistory(nextOrder, prevSections);
+
+      if (rowsLayouts && this.state.activeRowKey !== null) {
+        this._updateRowsOnDrag(nextData, nextOrder);
+        return;
+      }
+
+      if (rowsLayouts) {
+        this._updateRows(nextData, nextOrder);
+        return;
+      }
+
+      // Rows were not measured yet, so remount them to get all layouts.
       uniqueRowKey.id++;
       this._rowsLayouts = {};
-      nextOrder.forEach((key) => {
+      this._getInitiallyRenderedKeys(nextOrder).forEach((key) => {
         this._rowsLayouts[key] = new Promise((resolve) => {
           this._resolveRowLayout[key] = resolve;
         });
       });
 
-      const isLessOrEqual = nextData.length <= data.length;
-
       this.setState({
         animated: true,
         data: nextData,
-        containerLayout: isLessOrEqual ? containerLayout : null,
-        rowsLayouts: isLessOrEqual ? rowsLayouts : null,
-        prevRowsLayouts: rowsLayouts,
         order: nextOrder
       });
 
+    } else if (this.state.activeRowKey !== null) {
+      // While a row is dragged, the order is compared with the base of the drag.
+      if (nextOrder && !shallowEqual(this._orderBeforeMove, nextOrder)) {
+        // The next order becomes the base of the drag, so it is restored on cancel
+        // and the dropped order is reported as a change of it.
+        this._orderBeforeMove = nextOrder;
+        this._prevSwapedRowKey = null;
+
+        if (nextProps.order !== this.props.order) {
+          this._clearHistory();
+        }
+
+        const rebasedOrder = this._rebaseOrder(nextOrder);
+
+        this.setState({
+          order: rebasedOrder,
+          activeRowIndex: rebasedOrder.indexOf(this.state.activeRowKey),
+          placeholderIndex: null,
+        });
+      }
     } else if (order && nextOrder && !shallowEqual(order, nextOrder)) {
+      if (nextProps.order !== this.props.order) {
+        this._clearHistory();
+      }
+
       this.setState({order: nextOrder});
     }
   }
@@ -131,7 +350,7 @@ export default class SortableList extends Component {
     const {data} = this.state;
     const {data: prevData} = prevState;
 
-    if (data && prevData && !shallowEqual(data, prevData)) {
+    if (data && prevData && !shallowEqual(data, prevData) && !this.state.rowsLayouts) {
       this._onUpdateLayouts();
     }
   }
@@ -156,21 +375,141 @@ export default class SortableList extends Component {
     this._scroll(animated);
   }
 
-  scrollToRowKey({key, animated = false}) {
-    const {order, containerLayout, rowsLayouts} = this.state;
+  canUndo() {
+    return this._undoOrders.length > 0;
+  }
+
+  canRedo() {
+    return this._redoOrders.length > 0;
+  }
 
-    let keyX = 0;
-    let keyY = 0;
+  undo() {
+    if (!this.canUndo() || this.state.activeRowKey !== null) {
+      return;
+    }
 
-    for (const rowKey of order) {
-      if (rowKey === key) {
-          break;
-      }
+    this._redoOrders.push(this.state.order);
+    this._restoreOrder(this._undoOrders.pop());
+  }
+
+  redo() {
+    if (!this.canRedo() || this.state.activeRowKey !== null) {
+      return;
+    }
 
-      keyX += rowsLayouts[rowKey].width;
-      keyY += rowsLayouts[rowKey].height;
+    this._undoOrders.push(this.state.order);
+    this._restoreOrder(this._redoOrders.pop());
+  }
+
+  /**
+   * Moves a row to the index, as if it was dragged by a user.
+   */
+  moveRow(key, toIndex, {animated = true} = {}) {
+    const rowKey = this._getInternalKey(key);
+
+    // In the tree mode rows are moved only by dragging, with their subtrees.
+    if (rowKey === undefined || this.state.activeRowKey !== null || this.props.tree) {
+      return;
+    }
+
+    this._moveRow(rowKey, toIndex, animated);
+  }
+
+  /**
+   * Activates a row without a gesture. Returns whether the row was activated:
+   * locked, not mounted or not sortable rows can not be dragged.
+   */
+  startDrag(key) {
+    const rowKey = this._getInternalKey(key);
+    const row = this._rows[rowKey];
+    const {order, rowsLayouts, activeRowKey} = this.state;
+
+    if (!row || !rowsLayouts || activeRowKey !== null || !this.props.sortingEnabled ||
+      this._isSectionHeader(rowKey) || this._isRowLocked(rowKey)
+    ) {
+      return false;
+    }
+
+    const location = this._getRowsLocations(order, rowsLayouts)[order.indexOf(rowKey)];
+
+    this._programmaticDrag = {
+      rowKey,
+      startPoint: this._getPagePoint(location, rowsLayouts[rowKey]),
+    };
+
+    const {e, gestureState} = this._getProgrammaticDragEvent(location);
+
+    row.activate(e, gestureState);
+
+    return true;
+  }
+
+  /**
+   * Moves the row, which was activated by `startDrag()`, to a location in the rows container
+   * or to the location of the row at an index. The list is scrolled to show the location
+   * and rows are reordered, as if the row was dragged by a user, but it is not autoscrolled.
+   */
+  dragTo(target, {animated = true} = {}) {
+    const drag = this._programmaticDrag;
+
+    if (!drag || this.state.activeRowKey !== drag.rowKey) {
+      return;
+    }
+
+    const {order, rowsLayouts} = this.state;
+    // The active row’s location is changed by moves and autoscroll.
+    const currentLocation = this._activeRowLocation;
+    let location = target;
+
+    if (typeof target === 'number') {
+      const index = Math.max(0, Math.min(target, order.length - 1));
+
+      location = this._getRowsLocations(order, rowsLayouts)[index];
     }
 
+    location = {
+      x: location.x === undefined ? currentLocation.x : location.x,
+      y: location.y === undefined ? currentLocation.y : location.y,
+    };
+
+    // Otherwise the simulated touch is outside of the container and autoscroll never ends.
+    this._scrollToLocation(location, rowsLayouts[drag.rowKey], animated);
+
+    this._rows[drag.rowKey].moveBy({
+      dx: location.x - currentLocation.x,
+      dy: location.y - currentLocation.y,
+      animated,
+    });
+
+    const {e, gestureState} = this._getProgrammaticDragEvent(location);
+
+    this._onMoveRow(e, gestureState, location);
+    this._flushPendingMove();
+    // The simulated touch is not held, so it does not autoscroll, even at the edge.
+    this._stopAutoScroll();
+  }
+
+  /**
+   * Drops the row, which was activated by `startDrag()`.
+   */
+  endDrag() {
+    this._releaseProgrammaticDrag({cancelled: false});
+  }
+
+  /**
+   * Cancels the drag, which was started by `startDrag()`, the order before the drag is restored.
+   */
+  cancelDrag() {
+    this._releaseProgrammaticDrag({cancelled: true});
+  }
+
+  scrollToRowKey({key, animated = false}) {
+    const {order, containerLayout, rowsLayouts, headerLayout} = this.state;
+    const location = this._getRowsLocations(order, rowsLayouts)[order.indexOf(key)];
+    // Rows are located inside the rows container, which follows the header.
+    const keyX = location.x + (this.props.horizontal && headerLayout ? headerLayout.width : 0);
+    const keyY = location.y + (!this.props.horizontal && headerLayout ? headerLayout.height : 0);
+
     // Scroll if the row is not visible.
     if (
       this.props.horizontal
@@ -227,69 +566,238 @@ export default class SortableList extends Component {
   }
 
   _renderRows() {
-    const {horizontal, rowActivationTime, sortingEnabled, renderRow} = this.props;
-    const {animated, order, data, activeRowKey, releasedRowKey, rowsLayouts, prevRowsLayouts} = this.state;
+    const {horizontal, rowActivationTime, sortingEnabled, renderRow, virtualized, tree, indentationWidth} = this.props;
+    const {animated, order, data, activeRowKey, releasedRowKey, rowsLayouts, visibleRange, externalRow, dragPreviewShown} = this.state;
 
+    const locations = rowsLayouts ? this._getRowsLocations(order, rowsLayouts, externalRow) : null;
+    const depths = tree ? this._getRowsDepths(order) : null;
+    let section = null;
+    let indexInSection = 0;
 
-    let nextX = 0;
-    let nextY = 0;
-
-    return order.map((key, index) => {
+    const rows = order.map((key, index) => {
       const style = {[ZINDEX]: 0};
       const location = {x: 0, y: 0};
+      const isSectionHeader = this._isSectionHeader(key);
+      const locked = this._isRowLocked(key);
+      const selected = this._isRowSelected(key);
+      const depth = depths ? depths[key] : 0;
+
+      if (isSectionHeader) {
+        section = data[key];
+        indexInSection = 0;
+      } else if (section) {
+        indexInSection++;
+      }
 
-      if (prevRowsLayouts) {
-        location.y = nextY;
-        nextY += prevRowsLayouts[key] ? prevRowsLayouts[key].height : 0;
-      } else if (rowsLayouts) {
-        if (horizontal) {
-          location.x = nextX;
-          nextX += rowsLayouts[key] ? rowsLayouts[key].width : 0;
-        } else {
-          location.y = nextY;
-          nextY += rowsLayouts[key] ? rowsLayouts[key].height : 0;
-        }
+      if (rowsLayouts) {
+        location.x = locations[index].x;
+        location.y = locations[index].y;
       }
 
       const active = activeRowKey === key;
       const released = releasedRowKey === key;
 
+      // The moving row is kept mounted even if it leaves the window.
+      if (virtualized && !active && !released &&
+        (index < visibleRange.first || index > visibleRange.last)
+      ) {
+        return null;
+      }
+
       if (active || released) {
         style[ZINDEX] = 100;
       }
 
-      const makeKeyForIndex = this.props.makeKeyForIndex(key) || uniqueRowKey(key);
+      // The drag context shows the active row instead, while this list would clip it.
+      if (active && dragPreviewShown) {
+        style.opacity = 0;
+      }
 
       return (
         <Row
-          key={makeKeyForIndex}
+          key={this._getRowElementKey(key)}
           ref={this._onRefRow.bind(this, key)}
           horizontal={horizontal}
+          numColumns={this._isGrid() ? this.props.numColumns : 1}
           activationTime={rowActivationTime}
+          animationConfig={this.props.animationConfig}
+          activationAnimation={this.props.activationAnimation}
           animated={animated && !active}
-          disabled={!sortingEnabled}
+          entering={!!rowsLayouts && !rowsLayouts[key]}
+          disabled={!sortingEnabled || isSectionHeader || locked}
           style={style}
           location={location}
-          onLayout={!rowsLayouts ? this._onLayoutRow.bind(this, key) : null}
+          indentation={depth * indentationWidth}
+          onLayout={this._onLayoutRow.bind(this, key)}
           onActivate={this._onActivateRow.bind(this, key, index)}
           onPress={this._onPressRow.bind(this, key)}
           onRelease={this._onReleaseRow.bind(this, key)}
           onMove={this._onMoveRow}
-          manuallyActivateRows={this.props.manuallyActivateRows}>
-          {renderRow({
-            key,
-            data: data[key],
-            disabled: !sortingEnabled,
-            active,
-            index,
-          })}
+          accessibilityActions={!sortingEnabled || isSectionHeader || locked || tree
+            ? null
+            : horizontal ? HORIZONTAL_ROW_ACCESSIBILITY_ACTIONS : ROW_ACCESSIBILITY_ACTIONS}
+          onAccessibilityAction={this._onAccessibilityActionRow.bind(this, key)}
+          accessibilityLabel={this.props.getRowAccessibilityLabel && !isSectionHeader
+            ? this.props.getRowAccessibilityLabel(this._getPublicKey(key))
+            : undefined}
+          stackedChildren={active ? this._renderDraggedGroupStack() : null}
+          manuallyActivateRows={this.props.manuallyActivateRows && !isSectionHeader && !locked}>
+          {isSectionHeader
+            ? this._renderSectionHeader(section)
+            : renderRow({
+              key: this._getPublicKey(key),
+              data: data[key],
+              disabled: !sortingEnabled,
+              active,
+              locked,
+              selected,
+              index: section ? indexInSection - 1 : index,
+              section,
+              depth,
+            })
+          }
+        </Row>
+      );
+    });
+
+    return rows.concat(this._renderExitingRows(), this._renderPlaceholder());
+  }
+
+  /**
+   * Renders removed rows at their last locations, while they are fading out.
+   */
+  _renderExitingRows() {
+    const {horizontal, renderRow, tree, indentationWidth} = this.props;
+    const {exitingRows} = this.state;
+    // Rows of a dragged subtree keep their indentation, while collapsing.
+    const depths = tree && this._orderBeforeMove ? this._getDepths(this._orderBeforeMove) : {};
+
+    return Object.keys(exitingRows).map((exitingRowKey) => {
+      const {key, data, index, location, section} = exitingRows[exitingRowKey];
+      const isSectionHeader = this._isSectionHeader(key);
+      const depth = depths[key] || 0;
+
+      return (
+        <Row
+          key={this._getRowElementKey(key)}
+          horizontal={horizontal}
+          numColumns={this._isGrid() ? this.props.numColumns : 1}
+          animationConfig={this.props.animationConfig}
+          animated={this.state.animated}
+          disabled
+          exiting
+          location={location}
+          indentation={depth * indentationWidth}
+          onExited={this._onExitedRow.bind(this, key)}>
+          {isSectionHeader
+            ? this._renderSectionHeader(data)
+            : renderRow({
+              key: this._getPublicKey(key),
+              data,
+              disabled: true,
+              active: false,
+              locked: false,
+              selected: this._isRowSelected(key),
+              index,
+              section,
+              depth,
+            })
+          }
         </Row>
       );
     });
   }
 
+  /**
+   * Renders the placeholder (an insertion line by default) at the edge of the row,
+   * which the active row will be dropped next to.
+   */
+  _renderPlaceholder() {
+    const {horizontal, renderPlaceholder} = this.props;
+    const {order, rowsLayouts, activeRowKey, activeRowIndex, placeholderIndex} = this.state;
+
+    if (activeRowKey === null || placeholderIndex === null || placeholderIndex === activeRowIndex) {
+      return null;
+    }
+
+    const location = this._getRowsLocations(order, rowsLayouts)[placeholderIndex];
+    const {width, height} = rowsLayouts[order[placeholderIndex]] || EMPTY_LAYOUT;
+    // Moved forward, the active row is dropped after the row at the index.
+    const isAfter = placeholderIndex > activeRowIndex;
+    const isVertical = !horizontal && !this._isGrid();
+    let style;
+
+    if (this._isGrid()) {
+      style = {left: location.x + (isAfter ? width : 0), top: location.y, height};
+    } else if (horizontal) {
+      style = {left: location.x + (isAfter ? width : 0), top: 0, bottom: 0};
+    } else {
+      style = {top: location.y + (isAfter ? height : 0), left: 0, right: 0};
+    }
+
+    return (
+      <View key="placeholder" pointerEvents="none" style={[styles.placeholder, style]}>
+        {renderPlaceholder
+          ? renderPlaceholder({key: this._getPublicKey(activeRowKey), index: placeholderIndex})
+          : <View style={isVertical ? styles.insertionLine : styles.verticalInsertionLine} />
+        }
+      </View>
+    );
+  }
+
+  /**
+   * Renders rows, which are dragged with the active row, as a stack under it.
+   */
+  _renderDraggedGroupStack() {
+    if (!this._draggedGroup) {
+      return null;
+    }
+
+    const {data} = this.state;
+
+    return this._draggedGroup.followersKeys.slice(0, 2).map((key) => this.props.renderRow({
+      key: this._getPublicKey(key),
+      data: data[key],
+      disabled: !this.props.sortingEnabled,
+      active: false,
+      locked: false,
+      selected: true,
+      index: this._orderBeforeMove.indexOf(key),
+    }));
+  }
+
+  /**
+   * Renders the active row for the drag context’s overlay.
+   */
+  _renderDragPreview(rowKey) {
+    const {order, data, draggedDepth} = this.state;
+    const index = order.indexOf(rowKey);
+
+    return this.props.renderRow({
+      key: this._getPublicKey(rowKey),
+      data: data[rowKey],
+      disabled: !this.props.sortingEnabled,
+      active: true,
+      locked: false,
+      selected: this._isRowSelected(rowKey),
+      index: this._getPublicIndex(order, index),
+      section: this._sections ? data[order[this._getSectionHeaderIndex(order, index)]] : null,
+      depth: draggedDepth,
+    });
+  }
+
+  _getRowElementKey(key) {
+    return (this.props.makeKeyForIndex && this.props.makeKeyForIndex(key)) || uniqueRowKey(key);
+  }
+
+  _renderSectionHeader(section) {
+    return this.props.renderSectionHeader
+      ? this.props.renderSectionHeader({section})
+      : null;
+  }
+
   _renderHeader() {
-    if (!this.props.renderHeader || this.props.horizontal) {
+    if (!this.props.renderHeader) {
       return null;
     }
 
@@ -303,7 +811,7 @@ export default class SortableList extends Component {
   }
 
   _renderFooter() {
-    if (!this.props.renderFooter || this.props.horizontal) {
+    if (!this.props.renderFooter) {
       return null;
     }
 
@@ -322,239 +830,1503 @@ export default class SortableList extends Component {
         // Can get correct container’s layout only after rows’s layouts.
         this._container.measure((x, y, width, height, pageX, pageY) => {
           const rowsLayoutsByKey = {};
-          let contentHeight = 0;
-          let contentWidth = 0;
 
           rowsLayouts.forEach(({rowKey, layout}) => {
             rowsLayoutsByKey[rowKey] = layout;
-            contentHeight += layout.height;
-            contentWidth += layout.width;
           });
 
+          if (this.props.virtualized) {
+            // Rows out of the window are not mounted yet, so use estimated sizes for them.
+            this.state.order.forEach((rowKey) => {
+              if (!rowsLayoutsByKey[rowKey]) {
+                rowsLayoutsByKey[rowKey] = this._getEstimatedRowLayout({width, height});
+              }
+            });
+          }
+
           this.setState({
             containerLayout: {x, y, width, height, pageX, pageY},
             rowsLayouts: rowsLayoutsByKey,
             headerLayout,
             footerLayout,
-            contentHeight,
-            contentWidth,
+            ...this._getContentSize(this.state.order, rowsLayoutsByKey),
           }, () => {
             this.setState({animated: true});
+            this._updateVisibleRange();
           });
         });
       });
   }
 
-  _scroll(animated) {
-    this._scrollView.scrollTo({...this._contentOffset, animated});
+  _isSectionHeader(key) {
+    return !!this._sections && this._sections.headersKeys.hasOwnProperty(key);
   }
 
-  /**
-   * Finds a row under the moving row, if they are neighbours,
-   * swaps them, else shifts rows.
-   */
-  _setOrderOnMove() {
-    const {activeRowKey, activeRowIndex, order} = this.state;
+  _getParentKeys(data) {
+    return Object.keys(data).reduce((parentKeys, key) => {
+      const parentKey = data[key] && data[key].parentKey;
 
-    if (activeRowKey === null || this._autoScrollInterval) {
-      return;
-    }
+      parentKeys[key] = parentKey == null ? null : parentKey;
 
-    let {
-      rowKey: rowUnderActiveKey,
-      rowIndex: rowUnderActiveIndex,
-    } = this._findRowUnderActiveRow();
+      return parentKeys;
+    }, {});
+  }
 
-    if (this._movingDirectionChanged) {
-      this._prevSwapedRowKey = null;
-    }
+  /**
+   * Returns depths of rows in the tree by keys, parents precede their children in the order.
+   */
+  _getDepths(order, parentKeys = this.state.parentKeys) {
+    const depths = {};
 
-    // Swap rows if necessary.
-    if (rowUnderActiveKey !== activeRowKey && rowUnderActiveKey !== this._prevSwapedRowKey) {
-      const isNeighbours = Math.abs(rowUnderActiveIndex - activeRowIndex) === 1;
-      let nextOrder;
+    order.forEach((key) => {
+      const parentKey = parentKeys[key];
 
-      // If they are neighbours, swap elements, else shift.
-      if (isNeighbours) {
-        this._prevSwapedRowKey = rowUnderActiveKey;
-        nextOrder = swapArrayElements(order, activeRowIndex, rowUnderActiveIndex);
-      } else {
-        nextOrder = order.slice();
-        nextOrder.splice(activeRowIndex, 1);
-        nextOrder.splice(rowUnderActiveIndex, 0, activeRowKey);
-      }
+      depths[key] = parentKey !== null && depths.hasOwnProperty(parentKey) ? depths[parentKey] + 1 : 0;
+    });
 
-      this.setState({
-        order: nextOrder,
-        activeRowIndex: rowUnderActiveIndex,
-      });
-    }
+    return depths;
   }
 
   /**
-   * Finds a row, which was covered with the moving row’s half.
+   * Returns depths of rows including the depth of the active row, which is changed by a horizontal drag.
    */
-  _findRowUnderActiveRow() {
-    const {horizontal} = this.props;
-    const {rowsLayouts, activeRowKey, activeRowIndex, order} = this.state;
-    const movingRowLayout = rowsLayouts[activeRowKey];
-    const rowLeftX = this._activeRowLocation.x
-    const rowRightX = rowLeftX + movingRowLayout.width;
-    const rowTopY = this._activeRowLocation.y;
-    const rowBottomY = rowTopY + movingRowLayout.height;
+  _getRowsDepths(order) {
+    const depths = this._getDepths(order);
+    const {activeRowKey} = this.state;
 
-    for (
-      let currentRowIndex = 0, x = 0, y = 0, rowsCount = order.length;
-      currentRowIndex < rowsCount - 1;
-      currentRowIndex++
-    ) {
-      const currentRowKey = order[currentRowIndex];
-      const currentRowLayout = rowsLayouts[currentRowKey];
-      const nextRowIndex = currentRowIndex + 1;
-      const nextRowLayout = rowsLayouts[order[nextRowIndex]];
+    if (activeRowKey !== null && depths.hasOwnProperty(activeRowKey)) {
+      depths[activeRowKey] = this._getActiveRowDepth(order, depths);
+    }
 
-      x += currentRowLayout.width;
-      y += currentRowLayout.height;
+    return depths;
+  }
 
-      if (currentRowKey !== activeRowKey && (
-        horizontal
-          ? ((x - currentRowLayout.width <= rowLeftX || currentRowIndex === 0) && rowLeftX <= x - currentRowLayout.width / 3)
-          : ((y - currentRowLayout.height <= rowTopY || currentRowIndex === 0) && rowTopY <= y - currentRowLayout.height / 3)
-      )) {
-        return {
-          rowKey: order[currentRowIndex],
-          rowIndex: currentRowIndex,
-        };
-      }
+  /**
+   * Limits the dragged depth of the active row, so the previous row could be its parent
+   * and the next row keeps its parent.
+   */
+  _getActiveRowDepth(order, depths = this._getDepths(order)) {
+    const index = order.indexOf(this.state.activeRowKey);
+    const prevKey = order[index - 1];
+    const nextKey = order[index + 1];
+    const maxDepth = prevKey !== undefined ? depths[prevKey] + 1 : 0;
+    const minDepth = nextKey !== undefined ? Math.min(depths[nextKey], maxDepth) : 0;
+
+    return Math.max(minDepth, Math.min(this.state.draggedDepth, maxDepth));
+  }
 
-      if (horizontal
-        ? (x + nextRowLayout.width / 3 <= rowRightX && (rowRightX <= x + nextRowLayout.width || nextRowIndex === rowsCount - 1))
-        : (y + nextRowLayout.height / 3 <= rowBottomY && (rowBottomY <= y + nextRowLayout.height || nextRowIndex === rowsCount - 1))
-      ) {
-        return {
-          rowKey: order[nextRowIndex],
-          rowIndex: nextRowIndex,
-        };
+  /**
+   * Returns parent keys with the active row moved under the row, which precedes it at a lower depth.
+   */
+  _getParentKeysAfterDrop(order, rowKey, depth) {
+    const {parentKeys} = this.state;
+    const depths = this._getDepths(order);
+    let parentKey = null;
+
+    for (let i = order.indexOf(rowKey) - 1; i >= 0 && depth > 0; i--) {
+      if (depths[order[i]] === depth - 1) {
+        parentKey = order[i];
+        break;
       }
     }
 
-    return {rowKey: activeRowKey, rowIndex: activeRowIndex};
+    return {...parentKeys, [rowKey]: parentKey};
   }
 
-  _scrollOnMove(e) {
-    const {pageX, pageY} = e.nativeEvent;
-    const {horizontal} = this.props;
-    const {containerLayout} = this.state;
-    let inAutoScrollBeginArea = false;
-    let inAutoScrollEndArea = false;
-
-    if (horizontal) {
-      inAutoScrollBeginArea = pageX < containerLayout.pageX + this.props.autoscrollAreaSize;
-      inAutoScrollEndArea = pageX > containerLayout.pageX + containerLayout.width - this.props.autoscrollAreaSize;
-    } else {
-      inAutoScrollBeginArea = pageY < containerLayout.pageY + this.props.autoscrollAreaSize;
-      inAutoScrollEndArea = pageY > containerLayout.pageY + containerLayout.height - this.props.autoscrollAreaSize;
+  /**
+   * Returns keys of the row’s descendants, they follow the row in the order.
+   */
+  _getDescendantsKeys(rowKey) {
+    const {order} = this.state;
+    const depths = this._getDepths(order);
+    const index = order.indexOf(rowKey);
+    const descendantsKeys = [];
+
+    for (let i = index + 1; i < order.length && depths[order[i]] > depths[rowKey]; i++) {
+      descendantsKeys.push(order[i]);
     }
 
-    if (!inAutoScrollBeginArea &&
-      !inAutoScrollEndArea &&
-      this._autoScrollInterval !== null
-    ) {
-      this._stopAutoScroll();
+    return descendantsKeys;
+  }
+
+  _isRowSelected(key) {
+    return !this._isSectionHeader(key) &&
+      this.state.selectedKeys.indexOf(this._getPublicKey(key)) !== -1;
+  }
+
+  _toggleRowSelection(rowKey) {
+    const publicKey = this._getPublicKey(rowKey);
+    const {selectedKeys} = this.state;
+    const nextSelectedKeys = this._isRowSelected(rowKey)
+      ? selectedKeys.filter((key) => key !== publicKey)
+      : [...selectedKeys, publicKey];
+
+    this.setState({selectedKeys: nextSelectedKeys});
+
+    if (this.props.onSelectionChange) {
+      this.props.onSelectionChange(nextSelectedKeys);
+    }
+  }
+
+  /**
+   * Starts dragging of other selected rows (or the subtree in the tree mode) with the active one:
+   * they are removed from the order and collapse into the active row.
+   */
+  _startGroupDrag(rowKey) {
+    const {order, rowsLayouts, data, exitingRows} = this.state;
+
+    if (!rowsLayouts) {
+      return null;
+    }
+
+    let followersKeys = [];
+
+    if (this.props.tree) {
+      followersKeys = this._getDescendantsKeys(rowKey);
+    } else if (this._isRowSelected(rowKey)) {
+      followersKeys = order.filter((key) =>
+        key !== rowKey && this._isRowSelected(key) && !this._isRowLocked(key)
+      );
+    }
+
+    if (!followersKeys.length) {
+      return null;
+    }
+
+    const locations = this._getRowsLocations(order, rowsLayouts);
+    const leaderLocation = locations[order.indexOf(rowKey)];
+    const nextExitingRows = {...exitingRows};
+
+    followersKeys.forEach((key) => {
+      // Rows, which are not mounted (in the virtualized mode), just disappear.
+      if (this._rows[key]) {
+        nextExitingRows[key] = {key, data: data[key], index: order.indexOf(key), location: leaderLocation};
+      }
+    });
+
+    this._draggedGroup = {
+      keys: order.filter((key) => key === rowKey || followersKeys.indexOf(key) !== -1),
+      followersKeys,
+    };
+
+    const nextOrder = order.filter((key) => followersKeys.indexOf(key) === -1);
+
+    return {
+      order: nextOrder,
+      activeRowIndex: nextOrder.indexOf(rowKey),
+      exitingRows: nextExitingRows,
+    };
+  }
+
+  /**
+   * Inserts the dragged group as a contiguous block at the active row’s index.
+   */
+  _insertDraggedGroup(order, rowKey) {
+    const index = order.indexOf(rowKey);
+    const nextOrder = order.filter((key) => key !== rowKey);
+
+    nextOrder.splice(index, 0, ...this._draggedGroup.keys);
+
+    return nextOrder;
+  }
+
+  _isRowLocked(key) {
+    return !!this.props.isRowLocked &&
+      !this._isSectionHeader(key) &&
+      this.props.isRowLocked(this._getPublicKey(key));
+  }
+
+  /**
+   * Moves a row to the index, other rows are shifted, but locked rows keep their indices.
+   * Returns null, if the index is occupied by a locked row.
+   */
+  _getOrderWithMovedRow(order, fromIndex, toIndex) {
+    if (this._isRowLocked(order[toIndex])) {
+      return null;
+    }
+
+    const rowKey = order[fromIndex];
+    const targetKey = order[toIndex];
+    const unlockedKeys = order.filter((key) => !this._isRowLocked(key) && key !== rowKey);
+
+    unlockedKeys.splice(
+      toIndex > fromIndex ? unlockedKeys.indexOf(targetKey) + 1 : unlockedKeys.indexOf(targetKey),
+      0,
+      rowKey
+    );
+
+    return order.map((key) => this._isRowLocked(key) ? key : unlockedKeys.shift());
+  }
+
+  _getInternalKey(publicKey) {
+    if (!this._sections) {
+      return publicKey;
+    }
+
+    return this.state.order.find((key) => this._sections.rowsKeys[key] === publicKey);
+  }
+
+  /**
+   * Returns a key of the row, which is passed to callbacks (a row key inside its section for sections).
+   */
+  _getPublicKey(key) {
+    return this._sections ? this._sections.rowsKeys[key] : key;
+  }
+
+  /**
+   * Returns an order, which is passed to `onChangeOrder` (orders by sections’ keys for sections).
+   */
+  _getPublicOrder(order) {
+    return this._sections ? getSectionsOrder(order, this._sections) : order;
+  }
+
+  /**
+   * Returns an index in the order, which is passed to callbacks (an index inside the section for sections).
+   */
+  _getPublicIndex(order, index) {
+    if (!this._sections || index < 0) {
+      return index;
+    }
+
+    return index - this._getSectionHeaderIndex(order, index) - 1;
+  }
+
+  /**
+   * Returns an index in the order by a public index inside the section of the row at `index`,
+   * the index is clamped to the section’s rows.
+   */
+  _getInternalIndex(order, index, publicIndex) {
+    if (!this._sections) {
+      return Math.max(0, Math.min(publicIndex, order.length - 1));
+    }
+
+    const firstIndex = this._getSectionHeaderIndex(order, index) + 1;
+    let lastIndex = firstIndex;
+
+    while (lastIndex + 1 < order.length && !this._isSectionHeader(order[lastIndex + 1])) {
+      lastIndex++;
+    }
+
+    return Math.max(firstIndex, Math.min(firstIndex + publicIndex, lastIndex));
+  }
+
+  _getSectionHeaderIndex(order, index) {
+    let headerIndex = index;
+
+    while (headerIndex > 0 && !this._isSectionHeader(order[headerIndex])) {
+      headerIndex--;
+    }
+
+    return headerIndex;
+  }
+
+  /**
+   * Applies the order to rows except the active one, which keeps its index, while it is dragged.
+   * Rows of the dragged group stay hidden.
+   */
+  _rebaseOrder(nextOrder) {
+    const {activeRowKey, activeRowIndex} = this.state;
+    const followersKeys = this._draggedGroup ? this._draggedGroup.followersKeys : [];
+    const rebasedOrder = nextOrder.filter((key) =>
+      key !== activeRowKey && followersKeys.indexOf(key) === -1
+    );
+
+    rebasedOrder.splice(Math.min(activeRowIndex, rebasedOrder.length), 0, activeRowKey);
+
+    return rebasedOrder;
+  }
+
+  /**
+   * Returns the page point of the center of a row at the location in the rows container.
+   */
+  _getPagePoint(location, layout) {
+    const {horizontal} = this.props;
+    const {containerLayout, headerLayout} = this.state;
+
+    return {
+      x: containerLayout.pageX + location.x + layout.width / 2 - this._contentOffset.x +
+        (horizontal && headerLayout ? headerLayout.width : 0),
+      y: containerLayout.pageY + location.y + layout.height / 2 - this._contentOffset.y +
+        (!horizontal && headerLayout ? headerLayout.height : 0),
+    };
+  }
+
+  /**
+   * Returns an event and a gesture state for a programmatic drag to the location,
+   * like the ones of a touch at the row’s center.
+   */
+  _getProgrammaticDragEvent(location) {
+    const {rowKey, startPoint} = this._programmaticDrag;
+    const point = this._getPagePoint(location, this.state.rowsLayouts[rowKey]);
+
+    return {
+      e: {
+        persist() {},
+        nativeEvent: {pageX: point.x, pageY: point.y, timestamp: Date.now()},
+      },
+      gestureState: {
+        x0: startPoint.x,
+        y0: startPoint.y,
+        moveX: point.x,
+        moveY: point.y,
+        dx: point.x - startPoint.x,
+        dy: point.y - startPoint.y,
+        vx: 0,
+        vy: 0,
+        numberActiveTouches: 1,
+      },
+    };
+  }
+
+  _releaseProgrammaticDrag({cancelled}) {
+    const drag = this._programmaticDrag;
+
+    if (!drag) {
+      return;
+    }
+
+    const {e, gestureState} = this._getProgrammaticDragEvent(this._activeRowLocation);
+
+    this._programmaticDrag = null;
+
+    if (this._rows[drag.rowKey]) {
+      this._rows[drag.rowKey].release(e, gestureState, {cancelled});
+    }
+  }
+
+  /**
+   * Returns data by rows’ keys, arrays are keyed by `keyExtractor`.
+   */
+  _getKeyedData({data, keyExtractor}) {
+    if (!keyExtractor || !Array.isArray(data)) {
+      return data;
+    }
+
+    return data.reduce((keyedData, item, index) => {
+      keyedData[keyExtractor(item, index)] = item;
+
+      return keyedData;
+    }, {});
+  }
+
+  /**
+   * Returns the order of rows, when the `order` prop is not passed.
+   */
+  _getDefaultOrder({data, keyExtractor}) {
+    return keyExtractor && Array.isArray(data)
+      ? data.map((item, index) => keyExtractor(item, index))
+      : Object.keys(data);
+  }
+
+  /**
+   * Calls `onChangeOrder` with the public order, the rows’ data entries in the order
+   * and moves of rows since the previous order. The current order is used by default.
+   */
+  _callOnChangeOrder(prevOrder, order = this.state.order) {
+    if (this.props.onChangeOrder) {
+      const {data} = this.state;
+      const rowsOrder = order.filter((key) => !this._isSectionHeader(key));
+      const items = rowsOrder.map((key) => data[key]);
+      const moves = this._sections
+        ? this._getSectionsMoves(prevOrder, order)
+        : this._getPublicMoves(getOrderMoves(prevOrder, order), order);
+
+      this.props.onChangeOrder(this._getPublicOrder(order), items, moves);
+    }
+  }
+
+  /**
+   * Returns moves of rows inside sections with indices inside sections and keys of sections.
+   * A row moved to another section is moved from its index in the previous section.
+   */
+  _getSectionsMoves(prevOrder, order) {
+    const prevSectionsOrders = this._getSectionsRowsOrders(prevOrder);
+    const sectionsOrders = this._getSectionsRowsOrders(order);
+    const prevSectionsKeys = {};
+
+    Object.keys(prevSectionsOrders).forEach((sectionKey) => {
+      prevSectionsOrders[sectionKey].forEach((key) => {
+        prevSectionsKeys[key] = sectionKey;
+      });
+    });
+
+    return Object.keys(sectionsOrders).reduce((moves, sectionKey) => {
+      const sectionOrder = sectionsOrders[sectionKey];
+      const prevSectionOrder = prevSectionsOrders[sectionKey] || [];
+      const sectionMoves = getOrderMoves(prevSectionOrder, sectionOrder);
+
+      sectionOrder.forEach((key, index) => {
+        const prevSectionKey = prevSectionsKeys[key];
+
+        if (prevSectionKey !== undefined && prevSectionKey !== sectionKey) {
+          sectionMoves.push({
+            key,
+            from: prevSectionsOrders[prevSectionKey].indexOf(key),
+            to: index,
+            fromSection: prevSectionKey,
+          });
+        }
+      });
+
+      // Ranks are computed in the order of next indices.
+      sectionMoves.sort((a, b) => a.to - b.to);
+
+      return moves.concat(this._getPublicMoves(sectionMoves, sectionOrder).map((move) => ({
+        ...move,
+        fromSection: move.fromSection === undefined ? sectionKey : move.fromSection,
+        toSection: sectionKey,
+      })));
+    }, []);
+  }
+
+  /**
+   * Returns orders of rows’ internal keys by sections’ keys.
+   */
+  _getSectionsRowsOrders(order) {
+    const {headersKeys} = this._sections;
+    const sectionsOrders = {};
+    let sectionKey = null;
+
+    order.forEach((key) => {
+      if (headersKeys.hasOwnProperty(key)) {
+        sectionKey = headersKeys[key];
+        sectionsOrders[sectionKey] = [];
+      } else {
+        sectionsOrders[sectionKey].push(key);
+      }
+    });
+
+    return sectionsOrders;
+  }
+
+  /**
+   * Converts moves to public keys and adds ranks between neighbours, when `getRowRank` is passed.
+   */
+  _getPublicMoves(moves, order) {
+    const {getRowRank} = this.props;
+    const movedKeys = {};
+    const ranks = {};
+    const getRank = (key) => ranks.hasOwnProperty(key) ? ranks[key] : getRowRank(this._getPublicKey(key));
+
+    moves.forEach(({key}) => {
+      movedKeys[key] = true;
+    });
+
+    // Moves are sorted by next indices, so moved previous neighbours are ranked already.
+    return moves.map(({key, from, to, ...rest}) => {
+      const move = {key: this._getPublicKey(key), from, to, ...rest};
+
+      if (getRowRank) {
+        let nextIndex = to + 1;
+
+        while (nextIndex < order.length && movedKeys[order[nextIndex]]) {
+          nextIndex++;
+        }
+
+        ranks[key] = getRankBetween(
+          to > 0 ? getRank(order[to - 1]) : undefined,
+          nextIndex < order.length ? getRank(order[nextIndex]) : undefined
+        );
+        move.rank = ranks[key];
+      }
+
+      return move;
+    });
+  }
+
+  /**
+   * Applies the next data without remounting rows: removed rows fade out,
+   * added rows are measured and fade in, other rows keep their layouts and move to their next locations.
+   */
+  _updateRows(nextData, nextOrder) {
+    const {data, order, rowsLayouts, containerLayout, exitingRows} = this.state;
+    const locations = this._getRowsLocations(order, rowsLayouts);
+    const nextRowsLayouts = {};
+    const nextExitingRows = {};
+    let section = null;
+
+    Object.keys(exitingRows).forEach((exitingRowKey) => {
+      if (nextOrder.indexOf(exitingRows[exitingRowKey].key) === -1) {
+        nextExitingRows[exitingRowKey] = exitingRows[exitingRowKey];
+      }
+    });
+
+    order.forEach((key, index) => {
+      if (this._isSectionHeader(key)) {
+        section = data[key];
+      }
+
+      // Rows, which are not mounted (in the virtualized mode), are removed immediately.
+      if (nextOrder.indexOf(key) === -1 && this._rows[key]) {
+        nextExitingRows[key] = {key, data: data[key], index, location: locations[index], section};
+      }
+    });
+
+    // Rows of the dragged group are hidden, but keep their layouts to return on release.
+    const keptKeys = this._draggedGroup ? nextOrder.concat(this._draggedGroup.followersKeys) : nextOrder;
+
+    keptKeys.forEach((key) => {
+      if (rowsLayouts[key]) {
+        nextRowsLayouts[key] = rowsLayouts[key];
+      } else if (this.props.virtualized) {
+        nextRowsLayouts[key] = this._getEstimatedRowLayout(containerLayout);
+      }
+    });
+
+    this.setState({
+      data: nextData,
+      order: nextOrder,
+      rowsLayouts: nextRowsLayouts,
+      exitingRows: nextExitingRows,
+      ...this._getContentSize(nextOrder, nextRowsLayouts),
+    }, () => {
+      this._updateVisibleRange();
+    });
+  }
+
+  /**
+   * Applies the next data, while a row is dragged. The next order becomes the base of the drag
+   * and other rows are placed around the active row. If the active row was removed, the drag is cancelled.
+   */
+  _updateRowsOnDrag(nextData, nextOrder) {
+    const {activeRowKey} = this.state;
+    // Hidden rows of the dragged group, which were removed, have already faded out.
+    const removedFollowersKeys = this._draggedGroup
+      ? this._draggedGroup.followersKeys.filter((key) => nextOrder.indexOf(key) === -1)
+      : [];
+    const removeExitedFollowers = ({exitingRows}) => {
+      const nextExitingRows = {...exitingRows};
+
+      removedFollowersKeys.forEach((key) => {
+        delete nextExitingRows[key];
+      });
+
+      return {exitingRows: nextExitingRows};
+    };
+
+    if (nextOrder.indexOf(activeRowKey) === -1) {
+      this._cancelActiveRowDrag(nextOrder);
+      this._updateRows(nextData, nextOrder);
+      this.setState(removeExitedFollowers);
+      return;
+    }
+
+    if (this._draggedGroup) {
+      const isKept = (key) => removedFollowersKeys.indexOf(key) === -1;
+
+      this._draggedGroup = {
+        keys: this._draggedGroup.keys.filter(isKept),
+        followersKeys: this._draggedGroup.followersKeys.filter(isKept),
+      };
+    }
+
+    this._orderBeforeMove = nextOrder;
+    this._prevSwapedRowKey = null;
+
+    const rebasedOrder = this._rebaseOrder(nextOrder);
+
+    this._updateRows(nextData, rebasedOrder);
+    this.setState((state) => ({
+      ...removeExitedFollowers(state),
+      activeRowIndex: rebasedOrder.indexOf(activeRowKey),
+      placeholderIndex: null,
+    }));
+  }
+
+  /**
+   * Cancels the drag without a gesture, e.g. when the active row was removed.
+   * The restored order replaces the order before the drag, e.g. with the next data.
+   */
+  _cancelActiveRowDrag(restoredOrder) {
+    const {activeRowKey} = this.state;
+
+    this._programmaticDrag = null;
+    this._restoredOrder = restoredOrder;
+
+    if (this._rows[activeRowKey]) {
+      this._rows[activeRowKey].release(null, null, {cancelled: true});
+    } else {
+      this._onReleaseRow(activeRowKey, null, null, null, {cancelled: true});
+    }
+
+    this._restoredOrder = null;
+  }
+
+  _getInitiallyRenderedKeys(order) {
+    if (!this.props.virtualized) {
+      return order;
+    }
+
+    const {first, last} = this.state.visibleRange;
+
+    return order.slice(first, last + 1);
+  }
+
+  _getEstimatedRowLayout(containerLayout) {
+    const {horizontal, estimatedRowSize, numColumns} = this.props;
+
+    if (horizontal) {
+      return {x: 0, y: 0, width: estimatedRowSize, height: containerLayout.height};
+    }
+
+    return {
+      x: 0,
+      y: 0,
+      width: this._isGrid() ? containerLayout.width / numColumns : containerLayout.width,
+      height: estimatedRowSize,
+    };
+  }
+
+  _isGrid() {
+    return !this.props.horizontal && this.props.numColumns > 1;
+  }
+
+  /**
+   * Returns locations of rows inside the rows container, by indices of the order.
+   * In the grid mode rows are placed by lines of `numColumns` rows,
+   * a line is as high as its highest row.
+   * If the gap (`{index, layout}`) is passed, rows from its index are placed after it.
+   */
+  _getRowsLocations(order, rowsLayouts, gap = null) {
+    const {horizontal, numColumns} = this.props;
+    const isGrid = this._isGrid();
+    const locations = [];
+    let slotIndex = 0;
+    let x = 0;
+    let y = 0;
+    let lineHeight = 0;
+
+    const place = ({width, height}) => {
+      let location;
+
+      if (isGrid) {
+        if (slotIndex > 0 && slotIndex % numColumns === 0) {
+          x = 0;
+          y += lineHeight;
+          lineHeight = 0;
+        }
+
+        location = {x, y};
+        x += width;
+        lineHeight = Math.max(lineHeight, height);
+      } else if (horizontal) {
+        location = {x, y: 0};
+        x += width;
+      } else {
+        location = {x: 0, y};
+        y += height;
+      }
+
+      slotIndex++;
+
+      return location;
+    };
+
+    order.forEach((key, index) => {
+      if (gap && gap.index === index) {
+        place(gap.layout);
+      }
+
+      locations.push(place(rowsLayouts[key] || EMPTY_LAYOUT));
+    });
+
+    return locations;
+  }
+
+  /**
+   * Returns an index, at which a row dropped at the point (inside the rows container) would be inserted.
+   */
+  _getInsertionIndex({x, y}) {
+    const {horizontal} = this.props;
+    const {order, rowsLayouts} = this.state;
+    const isGrid = this._isGrid();
+    const locations = this._getRowsLocations(order, rowsLayouts);
+
+    for (let index = 0; index < order.length; index++) {
+      const location = locations[index];
+      const {width, height} = rowsLayouts[order[index]] || EMPTY_LAYOUT;
+
+      if (isGrid
+        ? y < location.y || (y < location.y + height && x < location.x + width / 2)
+        : horizontal ? x < location.x + width / 2 : y < location.y + height / 2
+      ) {
+        return index;
+      }
+    }
+
+    return order.length;
+  }
+
+  _getContentSize(order, rowsLayouts) {
+    const locations = this._getRowsLocations(order, rowsLayouts);
+    let contentWidth = 0;
+    let contentHeight = 0;
+
+    order.forEach((key, index) => {
+      const {width, height} = rowsLayouts[key] || EMPTY_LAYOUT;
+
+      contentWidth = Math.max(contentWidth, locations[index].x + width);
+      contentHeight = Math.max(contentHeight, locations[index].y + height);
+    });
+
+    return {contentWidth, contentHeight};
+  }
+
+  /**
+   * Finds indices of the first and the last rows, which are inside the viewport
+   * extended by `renderAheadDistance` on both sides.
+   */
+  _getVisibleRange() {
+    const {horizontal, renderAheadDistance} = this.props;
+    const {order, rowsLayouts, containerLayout, headerLayout} = this.state;
+    const sizeProp = horizontal ? 'width' : 'height';
+    const positionProp = horizontal ? 'x' : 'y';
+    const headerSize = headerLayout ? headerLayout[sizeProp] : 0;
+    const offset = this._contentOffset[positionProp] - headerSize;
+    const windowStart = offset - renderAheadDistance;
+    const windowEnd = offset + containerLayout[sizeProp] + renderAheadDistance;
+    const locations = this._getRowsLocations(order, rowsLayouts);
+    let first = null;
+    let last = null;
+
+    order.forEach((key, index) => {
+      const position = locations[index][positionProp];
+
+      if (position + (rowsLayouts[key] || EMPTY_LAYOUT)[sizeProp] >= windowStart && position <= windowEnd) {
+        if (first === null) {
+          first = index;
+        }
+
+        last = index;
+      }
+    });
+
+    return first === null ? {first: 0, last: -1} : {first, last};
+  }
+
+  _updateVisibleRange() {
+    if (!this.props.virtualized || !this.state.rowsLayouts || !this.state.containerLayout) {
+      return;
+    }
+
+    const visibleRange = this._getVisibleRange();
+
+    if (!shallowEqual(visibleRange, this.state.visibleRange)) {
+      this.setState({visibleRange});
+    }
+  }
+
+  /**
+   * Shows the active row in the drag context’s overlay and hides it in this list,
+   * while it is over another list or a zone, because the scroll view clips it there.
+   */
+  _updateDragPreview() {
+    const coordinator = this.context.sortableListDragCoordinator;
+    const {activeRowKey, rowsLayouts, dragPreviewShown} = this.state;
+
+    if (!this._dragTargetList && !this._dragTargetZone) {
+      this._hideDragPreview();
+      return;
+    }
+
+    if (dragPreviewShown) {
+      coordinator.movePreview(this._getActiveRowPageOrigin());
+    } else {
+      const {width, height} = rowsLayouts[activeRowKey];
+
+      coordinator.showPreview({
+        element: this._renderDragPreview(activeRowKey),
+        width,
+        height,
+        ...this._getActiveRowPageOrigin(),
+      });
+      this.setState({dragPreviewShown: true});
+    }
+  }
+
+  /**
+   * Returns the page point {pageX, pageY} of the active row’s top left corner.
+   */
+  _getActiveRowPageOrigin() {
+    const layout = this.state.rowsLayouts[this.state.activeRowKey];
+    const center = this._getPagePoint(this._activeRowLocation, layout);
+
+    return {
+      pageX: center.x - layout.width / 2,
+      pageY: center.y - layout.height / 2,
+    };
+  }
+
+  _hideDragPreview() {
+    if (this.state.dragPreviewShown) {
+      this.context.sortableListDragCoordinator.hidePreview();
+      this.setState({dragPreviewShown: false});
+    }
+  }
+
+  _measureContainer() {
+    if (!this._container) {
+      return;
+    }
+
+    this._container.measure((x, y, width, height, pageX, pageY) => {
+      this.setState({containerLayout: {x, y, width, height, pageX, pageY}});
+    });
+  }
+
+  _isPointInsideContainer(pageX, pageY) {
+    const {containerLayout} = this.state;
+
+    return !!containerLayout &&
+      containerLayout.pageX <= pageX &&
+      pageX <= containerLayout.pageX + containerLayout.width &&
+      containerLayout.pageY <= pageY &&
+      pageY <= containerLayout.pageY + containerLayout.height;
+  }
+
+  /**
+   * Converts a point on the page to a point inside the rows container.
+   */
+  _getPointInsideRowsContainer(pageX, pageY) {
+    const {horizontal} = this.props;
+    const {containerLayout, headerLayout} = this.state;
+
+    return {
+      x: pageX - containerLayout.pageX + this._contentOffset.x - (horizontal && headerLayout ? headerLayout.width : 0),
+      y: pageY - containerLayout.pageY + this._contentOffset.y - (!horizontal && headerLayout ? headerLayout.height : 0),
+    };
+  }
+
+  /**
+   * Opens a gap for a row, which is dragged from another list.
+   */
+  _onExternalRowMove({key, pageX, pageY, layout}) {
+    if (!this.state.rowsLayouts) {
+      return;
+    }
+
+    const {externalRow} = this.state;
+    const index = this._getInsertionIndex(this._getPointInsideRowsContainer(pageX, pageY));
+
+    if (!externalRow || externalRow.key !== key || externalRow.index !== index) {
+      this.setState({externalRow: {key, index, layout}});
+    }
+  }
+
+  _onExternalRowLeave() {
+    if (this.state.externalRow) {
+      this.setState({externalRow: null});
+    }
+  }
+
+  _onExternalRowDrop({key, data}) {
+    const {externalRow, order} = this.state;
+    const index = externalRow ? externalRow.index : order.length;
+
+    this.setState({externalRow: null});
+
+    if (this.props.onInsertRow) {
+      this.props.onInsertRow({key, data, index});
+    }
+
+    return index;
+  }
+
+  /**
+   * Removes the released row from this list, because it was dropped into another list.
+   */
+  _moveRowToTargetList(rowKey) {
+    const {order, data, rowsLayouts} = this.state;
+    const rowData = data[rowKey];
+    const index = order.indexOf(rowKey);
+    const nextOrder = order.filter((key) => key !== rowKey);
+
+    this.context.sortableListDragCoordinator.dropRow(this, {key: this._getPublicKey(rowKey), data: rowData});
+    this._dragTargetList = null;
+
+    this.setState({
+      order: nextOrder,
+      activeRowKey: null,
+      activeRowIndex: null,
+      releasedRowKey: null,
+      scrollEnabled: this.props.scrollEnabled,
+      ...this._getContentSize(nextOrder, rowsLayouts),
+    });
+
+    if (this.props.onRemoveRow) {
+      this.props.onRemoveRow({key: this._getPublicKey(rowKey), data: rowData, index});
+    }
+
+    return nextOrder;
+  }
+
+  /**
+   * Asks `onDropRequest` whether the released row can be dropped at its current index.
+   * Returns null if the drop was rejected,
+   * or the order with the row moved to the returned index.
+   */
+  _getDroppedOrder(rowKey) {
+    const order = this._getOrderWithPlaceholder();
+
+    if (!this.props.onDropRequest) {
+      return order;
+    }
+
+    const toIndex = order.indexOf(rowKey);
+    const result = this.props.onDropRequest({
+      key: this._getPublicKey(rowKey),
+      fromIndex: this._getPublicIndex(this._orderBeforeMove, this._orderBeforeMove.indexOf(rowKey)),
+      toIndex: this._getPublicIndex(order, toIndex),
+      order: this._getPublicOrder(order),
+    });
+
+    if (result === false) {
+      return null;
+    }
+
+    // The returned index is an index inside the section, which the row is dropped in.
+    const resultIndex = typeof result === 'number' ? this._getInternalIndex(order, toIndex, result) : toIndex;
+
+    if (resultIndex !== toIndex) {
+      return this._getOrderWithMovedRow(order, toIndex, resultIndex) || order;
+    }
+
+    return order;
+  }
+
+  /**
+   * Returns the order with the active row moved to the placeholder’s index,
+   * in the placeholder mode rows are reordered only on release.
+   */
+  _getOrderWithPlaceholder() {
+    const {order, activeRowIndex, placeholderIndex} = this.state;
+
+    if (placeholderIndex === null || placeholderIndex === activeRowIndex) {
+      return order;
+    }
+
+    return this._getOrderWithMovedRow(order, activeRowIndex, placeholderIndex) || order;
+  }
+
+  /**
+   * Moves the placeholder to the index, if the active row can be dropped there.
+   */
+  _setPlaceholderIndex(toIndex) {
+    const {activeRowKey, activeRowIndex, order, placeholderIndex} = this.state;
+    const fromIndex = placeholderIndex === null ? activeRowIndex : placeholderIndex;
+    let nextOrder = order;
+
+    if (toIndex === fromIndex) {
+      return;
+    }
+
+    if (toIndex !== activeRowIndex) {
+      nextOrder = this._getOrderWithMovedRow(order, activeRowIndex, toIndex);
+
+      if (!nextOrder || !this._canMoveRow(activeRowKey, activeRowIndex, toIndex, order, nextOrder)) {
+        return;
+      }
+    }
+
+    const prevOrder = this._getOrderWithPlaceholder();
+
+    this.setState({placeholderIndex: toIndex});
+
+    this._callDragCallback(this.props.onRowMoved, {
+      key: activeRowKey,
+      fromIndex,
+      toIndex,
+      order: nextOrder,
+      prevOrder,
+    });
+  }
+
+  /**
+   * Asks `canMoveRow` whether the row can be moved from the index in the order to the index in the next order.
+   */
+  _canMoveRow(key, fromIndex, toIndex, order, nextOrder) {
+    return !this.props.canMoveRow || this.props.canMoveRow({
+      key: this._getPublicKey(key),
+      fromIndex: this._getPublicIndex(order, fromIndex),
+      toIndex: this._getPublicIndex(nextOrder, toIndex),
+      order: this._getPublicOrder(order),
+    });
+  }
+
+  /**
+   * Calls a drag lifecycle callback with the active row’s public key, indices, order and location.
+   * `fromIndex` is an index in `prevOrder`, the order before the drag by default, `toIndex` is an index in `order`.
+   */
+  _callDragCallback(callback, {key, fromIndex, toIndex, order, prevOrder = this._orderBeforeMove, ...rest}) {
+    if (callback) {
+      callback({
+        key: this._getPublicKey(key),
+        fromIndex: this._getPublicIndex(prevOrder, fromIndex),
+        toIndex: this._getPublicIndex(order, toIndex),
+        location: this._activeRowLocation,
+        order: this._getPublicOrder(order),
+        ...rest,
+      });
+    }
+  }
+
+  _moveRow(rowKey, toIndex, animated, callback) {
+    const {order} = this.state;
+    const fromIndex = order.indexOf(rowKey);
+    const direction = toIndex > fromIndex ? 1 : -1;
+    // Rows can not be moved above the first section’s header.
+    const minIndex = this._sections ? 1 : 0;
+
+    toIndex = Math.max(minIndex, Math.min(toIndex, order.length - 1));
+
+    // Skip locked rows in the moving direction.
+    while (toIndex !== fromIndex && this._isRowLocked(order[toIndex])) {
+      toIndex -= direction;
+    }
+
+    if (toIndex === fromIndex || this._isRowLocked(rowKey)) {
+      return;
+    }
+
+    const nextOrder = this._getOrderWithMovedRow(order, fromIndex, toIndex);
+
+    if (!this._canMoveRow(rowKey, fromIndex, toIndex, order, nextOrder)) {
+      return;
+    }
+
+    const prevAnimated = this.state.animated;
+
+    this.setState({order: nextOrder, releasedRowKey: null, animated: animated && prevAnimated}, () => {
+      if (!animated) {
+        this.setState({animated: prevAnimated});
+      }
+
+      if (this.props.historySize > 0) {
+        this._pushToHistory(order);
+      }
+
+      this._callOnChangeOrder(order);
+
+      if (callback) {
+        callback(toIndex);
+      }
+    });
+  }
+
+  _restoreOrder(order) {
+    const prevOrder = this.state.order;
+
+    this.setState({order, releasedRowKey: null}, () => {
+      this._callOnChangeOrder(prevOrder);
+    });
+  }
+
+  _pushToHistory(prevOrder) {
+    this._undoOrders = [...this._undoOrders, prevOrder].slice(-this.props.historySize);
+    this._redoOrders = [];
+  }
+
+  /**
+   * Orders passed from outside (e.g. reorders by others) are not undone, so the history starts over.
+   */
+  _clearHistory() {
+    this._undoOrders = [];
+    this._redoOrders = [];
+  }
+
+  /**
+   * Keeps orders in the history, which contain the same rows as the next order.
+   * In the sections mode keys depend on sections rows were flattened in,
+   * so rows are matched by their keys inside sections.
+   */
+  _updateHistory(nextOrder, prevSections) {
+    const nextSortedKeys = nextOrder.slice().sort();
+    let getNextKey = (key) => key;
+
+    if (prevSections && this._sections && prevSections !== this._sections) {
+      const {rowsKeys} = this._sections;
+      const nextKeysByRowKey = {};
+
+      Object.keys(rowsKeys).forEach((key) => {
+        nextKeysByRowKey[rowsKeys[key]] = key;
+      });
+
+      getNextKey = (key) => {
+        if (!prevSections.rowsKeys.hasOwnProperty(key)) {
+          return key;
+        }
+
+        const rowKey = prevSections.rowsKeys[key];
+
+        return nextKeysByRowKey.hasOwnProperty(rowKey) ? nextKeysByRowKey[rowKey] : undefined;
+      };
+    }
+
+    const updateOrders = (orders) => orders
+      .map((order) => order.map(getNextKey))
+      .filter((order) => shallowEqual(order.slice().sort(), nextSortedKeys));
+
+    this._undoOrders = updateOrders(this._undoOrders);
+    this._redoOrders = updateOrders(this._redoOrders);
+  }
+
+  _scroll(animated) {
+    this._scrollView.scrollTo({...this._contentOffset, animated});
+  }
+
+  /**
+   * Scrolls as little as needed to show a row of the layout at the location in the rows container.
+   */
+  _scrollToLocation(location, layout, animated) {
+    const {horizontal} = this.props;
+    const {containerLayout, headerLayout} = this.state;
+    const offsetProp = horizontal ? 'x' : 'y';
+    const sizeProp = horizontal ? 'width' : 'height';
+    const offset = this._contentOffset[offsetProp];
+    // Rows are located inside the rows container, which follows the header.
+    const start = location[offsetProp] + (headerLayout ? headerLayout[sizeProp] : 0);
+    const end = start + layout[sizeProp];
+    let nextOffset = offset;
+
+    if (start < offset) {
+      nextOffset = start;
+    } else if (end > offset + containerLayout[sizeProp]) {
+      nextOffset = end - containerLayout[sizeProp];
+    }
+
+    nextOffset = Math.max(0, Math.min(nextOffset, this._getMaxScrollOffset()));
+
+    if (nextOffset !== offset) {
+      this._contentOffset[offsetProp] = nextOffset;
+      this._scroll(animated);
+    }
+  }
+
+  /**
+   * Handles moves at most once per `reorderThrottle` ms, the last skipped move is delayed,
+   * so the last location is always handled. Autoscroll passes no move, it only reorders rows.
+   */
+  _handleMoveThrottled(move = null) {
+    const delay = this.props.reorderThrottle - (Date.now() - (this._lastMoveTime || 0));
+
+    if (move) {
+      this._pendingMove = move;
+    }
+
+    clearTimeout(this._moveTimeout);
+    this._moveTimeout = null;
+
+    if (delay <= 0) {
+      this._handlePendingMove();
+    } else {
+      this._moveTimeout = setTimeout(() => {
+        this._moveTimeout = null;
+        this._handlePendingMove();
+      }, delay);
+    }
+  }
+
+  /**
+   * Handles the move, which is delayed by the throttle, at once. Returns whether there was one.
+   */
+  _flushPendingMove() {
+    if (this._moveTimeout === null) {
+      return false;
+    }
+
+    clearTimeout(this._moveTimeout);
+    this._moveTimeout = null;
+    this._handlePendingMove();
+
+    return true;
+  }
+
+  _handlePendingMove() {
+    const move = this._pendingMove;
+
+    this._pendingMove = null;
+    this._lastMoveTime = Date.now();
+
+    if (move) {
+      this._handleMove(move);
+    } else {
+      this._setOrderOnMove();
+    }
+  }
+
+  /**
+   * Finds a row under the moving row, if they are neighbours,
+   * swaps them, else shifts rows.
+   */
+  _setOrderOnMove() {
+    const {activeRowKey, activeRowIndex, order} = this.state;
+
+    if (activeRowKey === null) {
+      return;
+    }
+
+    let {
+      rowKey: rowUnderActiveKey,
+      rowIndex: rowUnderActiveIndex,
+    } = this._findRowUnderActiveRow();
+
+    if (this._movingDirectionChanged) {
+      this._prevSwapedRowKey = null;
+    }
+
+    // Rows can not be moved above the first section’s header.
+    if (this._sections && rowUnderActiveIndex === 0) {
+      return;
+    }
+
+    // Locked rows are never displaced, the active row flows around them.
+    if (this._isRowLocked(rowUnderActiveKey)) {
+      return;
     }
 
-    // It should scroll and scrolling is processing.
-    if (this._autoScrollInterval !== null) {
+    // In the placeholder mode other rows stay still.
+    if (this.props.placeholderMode) {
+      this._setPlaceholderIndex(rowUnderActiveIndex);
       return;
     }
 
-    if (inAutoScrollBeginArea) {
-      this._startAutoScroll({
-        direction: -1,
-        shouldScroll: () => this._contentOffset[horizontal ? 'x' : 'y'] > 0,
-        getScrollStep: (stepIndex) => {
-          const nextStep = this._getScrollStep(stepIndex);
-          const contentOffset = this._contentOffset[horizontal ? 'x' : 'y'];
+    // Swap rows if necessary.
+    if (rowUnderActiveKey !== activeRowKey && rowUnderActiveKey !== this._prevSwapedRowKey) {
+      // If they are neighbours, swap elements, else shift.
+      // In the grid mode rows are always shifted, so they flow line by line.
+      const isSwap = Math.abs(rowUnderActiveIndex - activeRowIndex) === 1 && !this._isGrid();
+      const nextOrder = isSwap
+        ? swapArrayElements(order, activeRowIndex, rowUnderActiveIndex)
+        : this._getOrderWithMovedRow(order, activeRowIndex, rowUnderActiveIndex);
+
+      if (!this._canMoveRow(activeRowKey, activeRowIndex, rowUnderActiveIndex, order, nextOrder)) {
+        return;
+      }
 
-          return contentOffset - nextStep < 0 ? contentOffset : nextStep;
-        },
+      if (isSwap) {
+        this._prevSwapedRowKey = rowUnderActiveKey;
+      }
+
+      this.setState({
+        order: nextOrder,
+        activeRowIndex: rowUnderActiveIndex,
       });
-    } else if (inAutoScrollEndArea) {
-      this._startAutoScroll({
-        direction: 1,
-        shouldScroll: () => {
-          const {
-            contentHeight,
-            contentWidth,
-            containerLayout,
-            footerLayout = {height: 0},
-          } = this.state;
-
-          if (horizontal) {
-            return this._contentOffset.x < contentWidth - containerLayout.width
-          } else {
-            return this._contentOffset.y < contentHeight + footerLayout.height - containerLayout.height;
-          }
-        },
-        getScrollStep: (stepIndex) => {
-          const nextStep = this._getScrollStep(stepIndex);
-          const {
-            contentHeight,
-            contentWidth,
-            containerLayout,
-            footerLayout = {height: 0},
-          } = this.state;
-
-          if (horizontal) {
-            return this._contentOffset.x + nextStep > contentWidth - containerLayout.width
-              ? contentWidth - containerLayout.width - this._contentOffset.x
-              : nextStep;
-          } else {
-            const scrollHeight = contentHeight + footerLayout.height - containerLayout.height;
-
-            return this._contentOffset.y + nextStep > scrollHeight
-              ? scrollHeight - this._contentOffset.y
-              : nextStep;
-          }
-        },
+
+      this._callDragCallback(this.props.onRowMoved, {
+        key: activeRowKey,
+        fromIndex: activeRowIndex,
+        toIndex: rowUnderActiveIndex,
+        order: nextOrder,
+        prevOrder: order,
       });
     }
   }
 
-  _getScrollStep(stepIndex) {
-    return stepIndex > 3 ? 60 : 30;
+  /**
+   * Finds a row, which was covered with the moving row’s half.
+   */
+  _findRowUnderActiveRow() {
+    if (this._isGrid()) {
+      return this._findTileUnderActiveRow();
+    }
+
+    const {horizontal} = this.props;
+    const {rowsLayouts, activeRowKey, activeRowIndex, order} = this.state;
+    const movingRowLayout = rowsLayouts[activeRowKey];
+    const rowLeftX = this._activeRowLocation.x
+    const rowRightX = rowLeftX + movingRowLayout.width;
+    const rowTopY = this._activeRowLocation.y;
+    const rowBottomY = rowTopY + movingRowLayout.height;
+
+    for (
+      let currentRowIndex = 0, x = 0, y = 0, rowsCount = order.length;
+      currentRowIndex < rowsCount - 1;
+      currentRowIndex++
+    ) {
+      const currentRowKey = order[currentRowIndex];
+      const currentRowLayout = rowsLayouts[currentRowKey] || EMPTY_LAYOUT;
+      const nextRowIndex = currentRowIndex + 1;
+      const nextRowLayout = rowsLayouts[order[nextRowIndex]] || EMPTY_LAYOUT;
+
+      x += currentRowLayout.width;
+      y += currentRowLayout.height;
+
+      if (currentRowKey !== activeRowKey && (
+        horizontal
+          ? ((x - currentRowLayout.width <= rowLeftX || currentRowIndex === 0) && rowLeftX <= x - currentRowLayout.width / 3)
+          : ((y - currentRowLayout.height <= rowTopY || currentRowIndex === 0) && rowTopY <= y - currentRowLayout.height / 3)
+      )) {
+        return {
+          rowKey: order[currentRowIndex],
+          rowIndex: currentRowIndex,
+        };
+      }
+
+      if (horizontal
+        ? (x + nextRowLayout.width / 3 <= rowRightX && (rowRightX <= x + nextRowLayout.width || nextRowIndex === rowsCount - 1))
+        : (y + nextRowLayout.height / 3 <= rowBottomY && (rowBottomY <= y + nextRowLayout.height || nextRowIndex === rowsCount - 1))
+      ) {
+        return {
+          rowKey: order[nextRowIndex],
+          rowIndex: nextRowIndex,
+        };
+      }
+    }
+
+    return {rowKey: activeRowKey, rowIndex: activeRowIndex};
+  }
+
+  /**
+   * Finds a row in the grid, which contains the moving row’s center.
+   */
+  _findTileUnderActiveRow() {
+    const {rowsLayouts, activeRowKey, activeRowIndex, order} = this.state;
+    const movingRowLayout = rowsLayouts[activeRowKey];
+    const centerX = this._activeRowLocation.x + movingRowLayout.width / 2;
+    const centerY = this._activeRowLocation.y + movingRowLayout.height / 2;
+    const locations = this._getRowsLocations(order, rowsLayouts);
+
+    for (let index = 0; index < order.length; index++) {
+      const {x, y} = locations[index];
+      const {width, height} = rowsLayouts[order[index]] || EMPTY_LAYOUT;
+
+      if (x <= centerX && centerX < x + width && y <= centerY && centerY < y + height) {
+        return {
+          rowKey: order[index],
+          rowIndex: index,
+        };
+      }
+    }
+
+    return {rowKey: activeRowKey, rowIndex: activeRowIndex};
   }
 
-  _startAutoScroll({direction, shouldScroll, getScrollStep}) {
-    if (!shouldScroll()) {
-      return;
+  /**
+   * Sets the autoscroll speed by how deep the touch is inside an autoscroll area.
+   */
+  _scrollOnMove({pageX, pageY}) {
+    const {horizontal, autoscrollAreaSize, autoscrollMaxSpeed, autoscrollEasing} = this.props;
+    const {containerLayout} = this.state;
+    const position = horizontal ? pageX - containerLayout.pageX : pageY - containerLayout.pageY;
+    const containerSize = horizontal ? containerLayout.width : containerLayout.height;
+    // Negative in the area at the beginning, positive in the area at the end.
+    let depth = 0;
+
+    if (position < autoscrollAreaSize) {
+      depth = -Math.min(1, (autoscrollAreaSize - position) / autoscrollAreaSize);
+    } else if (position > containerSize - autoscrollAreaSize) {
+      depth = Math.min(1, (position - containerSize + autoscrollAreaSize) / autoscrollAreaSize);
     }
 
-    const {activeRowKey} = this.state;
+    this._autoScrollSpeed = depth === 0
+      ? 0
+      : Math.sign(depth) * autoscrollMaxSpeed * autoscrollEasing(Math.abs(depth));
+
+    if (this._autoScrollSpeed === 0) {
+      this._stopAutoScroll();
+    } else if (this._autoScrollFrame === null) {
+      this._startAutoScroll();
+    }
+  }
+
+  _getMaxScrollOffset() {
     const {horizontal} = this.props;
-    let counter = 0;
+    const {contentHeight, contentWidth, containerLayout, headerLayout, footerLayout} = this.state;
+    const sizeProp = horizontal ? 'width' : 'height';
+    const contentSize = (horizontal ? contentWidth : contentHeight) +
+      (headerLayout ? headerLayout[sizeProp] : 0) +
+      (footerLayout ? footerLayout[sizeProp] : 0);
 
-    this._autoScrollInterval = setInterval(() => {
-      if (shouldScroll()) {
-        const movement = {
-          [horizontal ? 'dx' : 'dy']: direction * getScrollStep(counter++),
-        };
+    return Math.max(0, contentSize - containerLayout[sizeProp]);
+  }
+
+  /**
+   * Scrolls the list and moves the active row with it on every frame by the autoscroll speed,
+   * rows are reordered under the active row while scrolling.
+   */
+  _startAutoScroll() {
+    const {horizontal} = this.props;
+    const offsetProp = horizontal ? 'x' : 'y';
+    let lastFrameTime = null;
+
+    const scrollOnFrame = (frameTime) => {
+      const {activeRowKey} = this.state;
+      const offset = this._contentOffset[offsetProp];
+      const maxOffset = this._getMaxScrollOffset();
+
+      if (activeRowKey === null ||
+        (this._autoScrollSpeed < 0 ? offset <= 0 : offset >= maxOffset)
+      ) {
+        this._stopAutoScroll();
+        return;
+      }
+
+      // Delayed frames do not cause jumps.
+      const elapsedTime = lastFrameTime === null
+        ? 0
+        : Math.min(frameTime - lastFrameTime, MAX_AUTOSCROLL_FRAME_TIME);
+      const nextOffset = Math.max(0, Math.min(offset + this._autoScrollSpeed * elapsedTime / 1000, maxOffset));
+      const delta = nextOffset - offset;
+
+      lastFrameTime = frameTime;
+
+      if (delta !== 0) {
+        const movement = {[horizontal ? 'dx' : 'dy']: delta};
 
         this.scrollBy(movement);
         this._rows[activeRowKey].moveBy(movement);
-      } else {
-        this._stopAutoScroll();
+        this._activeRowLocation = {
+          ...this._activeRowLocation,
+          [offsetProp]: this._activeRowLocation[offsetProp] + delta,
+        };
+        this._handleMoveThrottled();
       }
-    }, AUTOSCROLL_INTERVAL);
+
+      this._autoScrollFrame = requestAnimationFrame(scrollOnFrame);
+    };
+
+    this._autoScrollFrame = requestAnimationFrame(scrollOnFrame);
   }
 
   _stopAutoScroll() {
-    clearInterval(this._autoScrollInterval);
-    this._autoScrollInterval = null;
+    cancelAnimationFrame(this._autoScrollFrame);
+    this._autoScrollFrame = null;
   }
 
   _onLayoutRow(rowKey, {nativeEvent: {layout}}) {
-    this._resolveRowLayout[rowKey]({rowKey, layout});
+    if (this.state.rowsLayouts) {
+      this._onChangeRowLayout(rowKey, layout);
+    } else {
+      this._resolveRowLayout[rowKey]({rowKey, layout});
+    }
+  }
+
+  /**
+   * Updates the layout of a row, which was resized or was mounted after scrolling
+   * (the estimated layout is replaced with the measured one), following rows are moved.
+   */
+  _onChangeRowLayout(rowKey, layout) {
+    this.setState(({order, rowsLayouts}) => {
+      const prevLayout = rowsLayouts[rowKey];
+
+      // Layout events are fired on moves too, only size changes matter.
+      // Rows without layouts were added and are measured for the first time.
+      if (prevLayout
+        ? prevLayout.width === layout.width && prevLayout.height === layout.height
+        : order.indexOf(rowKey) === -1
+      ) {
+        return null;
+      }
+
+      const nextRowsLayouts = {...rowsLayouts, [rowKey]: layout};
+
+      return {
+        rowsLayouts: nextRowsLayouts,
+        ...this._getContentSize(order, nextRowsLayouts),
+      };
+    }, () => {
+      this._updateVisibleRange();
+    });
   }
 
   _onLayoutHeader = ({nativeEvent: {layout}}) => {
@@ -567,42 +2339,219 @@ export default class SortableList extends Component {
 
   _onActivateRow = (rowKey, index, e, gestureState, location) => {
     this._activeRowLocation = location;
+    this._orderBeforeMove = this.state.order;
+    this._dragTargetList = null;
+    this._dragTargetZone = null;
+    this._draggedGroup = null;
+    this._dragStartDepth = this.props.tree ? this._getDepths(this.state.order)[rowKey] : 0;
+
+    if (this.context.sortableListDragCoordinator) {
+      this.context.sortableListDragCoordinator.startDrag(this);
+    }
 
     this.setState({
       activeRowKey: rowKey,
       activeRowIndex: index,
       releasedRowKey: null,
       scrollEnabled: false,
+      draggedDepth: this._dragStartDepth,
+      ...this._startGroupDrag(rowKey),
     });
 
     if (this.props.onActivateRow) {
-      this.props.onActivateRow(rowKey);
+      this.props.onActivateRow(this._getPublicKey(rowKey));
+    }
+
+    this._callDragCallback(this.props.onDragStart, {
+      key: rowKey,
+      fromIndex: index,
+      toIndex: index,
+      order: this.state.order,
+    });
+  };
+
+  _onAccessibilityActionRow = (rowKey, {nativeEvent: {actionName}}) => {
+    const {order} = this.state;
+    const index = order.indexOf(rowKey);
+    const toIndex = {
+      moveUp: index - 1,
+      moveDown: index + 1,
+      moveToTop: 0,
+      moveToBottom: order.length - 1,
+    }[actionName];
+
+    if (toIndex === undefined || this.state.activeRowKey !== null) {
+      return;
+    }
+
+    this._moveRow(rowKey, toIndex, true, (nextIndex) => {
+      AccessibilityInfo.announceForAccessibility(
+        `Moved to position ${nextIndex + 1} of ${this.state.order.length}`
+      );
+    });
+  };
+
+  _onExitedRow = (rowKey) => {
+    // Rows of the dragged group stay mounted to return on release.
+    if (this._draggedGroup && this._draggedGroup.followersKeys.indexOf(rowKey) !== -1) {
+      return;
     }
+
+    this.setState(({exitingRows}) => {
+      const nextExitingRows = {...exitingRows};
+
+      delete nextExitingRows[rowKey];
+
+      return {exitingRows: nextExitingRows};
+    });
   };
 
   _onPressRow = (rowKey) => {
+    if (this.props.selectionMode && !this._isSectionHeader(rowKey)) {
+      this._toggleRowSelection(rowKey);
+    }
+
     if (this.props.onPressRow) {
-      this.props.onPressRow(rowKey);
+      this.props.onPressRow(this._getPublicKey(rowKey));
     }
   };
 
-  _onReleaseRow = (rowKey) => {
+  _onReleaseRow = (rowKey, e, gestureState, location, {cancelled = false} = {}) => {
+    const fromIndex = this._orderBeforeMove.indexOf(rowKey);
+
     this._stopAutoScroll();
-    this.setState(({activeRowKey}) => ({
-      activeRowKey: null,
-      activeRowIndex: null,
-      releasedRowKey: activeRowKey,
-      scrollEnabled: this.props.scrollEnabled,
-    }), () => {
-      if (this.props.onChangeOrder) {
-        setTimeout( () => {
-          this.props.onChangeOrder(this.state.order);
-        }, 500);
+    this._hideDragPreview();
+
+    if (location) {
+      this._activeRowLocation = location;
+    }
+
+    // The pending throttled move handles the last location, so it is applied first
+    // and the row is released, when the reordered state is applied.
+    if (!cancelled && this._flushPendingMove()) {
+      this.setState(null, () => this._onReleaseRow(rowKey, e, gestureState, null, {cancelled}));
+      return;
+    }
+
+    clearTimeout(this._moveTimeout);
+    this._moveTimeout = null;
+    this._pendingMove = null;
+
+    if (this._dragTargetList && !cancelled) {
+      const orderWithoutRow = this._moveRowToTargetList(rowKey);
+
+      if (this.props.onReleaseRow) {
+        this.props.onReleaseRow(this._getPublicKey(rowKey));
+      }
+
+      this._callDragCallback(this.props.onDragEnd, {
+        key: rowKey,
+        fromIndex,
+        toIndex: -1,
+        order: orderWithoutRow,
+        cancelled,
+      });
+
+      return;
+    }
+
+    const dropZone = this.context.sortableListDragCoordinator && !cancelled
+      ? this.context.sortableListDragCoordinator.dropRowInZone(this)
+      : null;
+
+    if (this.context.sortableListDragCoordinator) {
+      this.context.sortableListDragCoordinator.cancelDrag(this);
+    }
+
+    this._dragTargetList = null;
+    this._dragTargetZone = null;
+
+    // A cancelled drag, a rejected drop and a drop in a zone restore the order before the drag.
+    const droppedOrder = cancelled || dropZone ? null : this._getDroppedOrder(rowKey);
+    const draggedGroup = this._draggedGroup;
+    const prevParentKeys = this.state.parentKeys;
+    let nextOrder = cancelled && this._restoredOrder ? this._restoredOrder : this._orderBeforeMove;
+    let nextParentKeys = prevParentKeys;
+
+    if (droppedOrder) {
+      nextOrder = draggedGroup ? this._insertDraggedGroup(droppedOrder, rowKey) : droppedOrder;
+
+      if (this.props.tree) {
+        nextParentKeys = this._getParentKeysAfterDrop(
+          nextOrder,
+          rowKey,
+          this._getActiveRowDepth(droppedOrder)
+        );
+      }
+    }
+
+    this._draggedGroup = null;
+
+    this.setState(({activeRowKey, exitingRows}) => {
+      const nextExitingRows = {...exitingRows};
+
+      // Rows of the dragged group return to the order.
+      if (draggedGroup) {
+        draggedGroup.followersKeys.forEach((key) => {
+          delete nextExitingRows[key];
+        });
+      }
+
+      return {
+        order: nextOrder,
+        parentKeys: nextParentKeys,
+        activeRowKey: null,
+        activeRowIndex: null,
+        placeholderIndex: null,
+        releasedRowKey: activeRowKey,
+        scrollEnabled: this.props.scrollEnabled,
+        exitingRows: nextExitingRows,
+      };
+    }, () => {
+      if (!droppedOrder) {
+        return;
+      }
+
+      if (this.props.tree) {
+        const changes = getTreeChanges(this._orderBeforeMove, prevParentKeys, nextOrder, nextParentKeys);
+
+        if (changes.length && this.props.onChangeTree) {
+          this.props.onChangeTree(changes);
+        }
+
+        // Orders without parents can not be restored, so there is no history in the tree mode.
+      } else if (this.props.historySize > 0 && !shallowEqual(this._orderBeforeMove, this.state.order)) {
+        this._pushToHistory(this._orderBeforeMove);
       }
+
+      this._callOnChangeOrder(this._orderBeforeMove, nextOrder);
     });
 
+    if (dropZone && this.props.onDropInZone) {
+      this.props.onDropInZone(this._getPublicKey(rowKey), dropZone.props.zoneId);
+    }
+
     if (this.props.onReleaseRow) {
-      this.props.onReleaseRow(rowKey);
+      this.props.onReleaseRow(this._getPublicKey(rowKey));
+    }
+
+    if (dropZone) {
+      this._callDragCallback(this.props.onDragEnd, {
+        key: rowKey,
+        fromIndex,
+        toIndex: -1,
+        order: nextOrder,
+        cancelled,
+        zoneId: dropZone.props.zoneId,
+      });
+    } else {
+      this._callDragCallback(this.props.onDragEnd, {
+        key: rowKey,
+        fromIndex,
+        toIndex: nextOrder.indexOf(rowKey),
+        order: nextOrder,
+        cancelled,
+      });
     }
   };
 
@@ -617,15 +2566,79 @@ export default class SortableList extends Component {
       : prevMovingRowY < this._activeRowLocation.y;
 
     this._movingDirectionChanged = prevMovingDirection !== this._movingDirection;
+
+    // The preview follows every move, as the row itself does.
+    if (this.state.dragPreviewShown) {
+      this.context.sortableListDragCoordinator.movePreview(this._getActiveRowPageOrigin());
+    }
+
+    this._handleMoveThrottled({
+      pageX: e.nativeEvent.pageX,
+      pageY: e.nativeEvent.pageY,
+      dx: gestureState.dx,
+    });
+  };
+
+  /**
+   * Reports the move, finds another list or a zone under the touch,
+   * reorders rows and scrolls the list.
+   */
+  _handleMove({pageX, pageY, dx}) {
+    if (this.state.activeRowKey === null) {
+      return;
+    }
+
+    // Reports the order before this move, `onRowMoved` follows if the order changes.
+    this._callDragCallback(this.props.onDragMove, {
+      key: this.state.activeRowKey,
+      fromIndex: this._orderBeforeMove.indexOf(this.state.activeRowKey),
+      toIndex: this.state.placeholderIndex !== null ? this.state.placeholderIndex : this.state.activeRowIndex,
+      order: this._getOrderWithPlaceholder(),
+    });
+
+    if (this.context.sortableListDragCoordinator) {
+      const {activeRowKey, rowsLayouts} = this.state;
+      const {targetList, targetZone} = this.context.sortableListDragCoordinator.moveRow(this, {
+        key: activeRowKey,
+        pageX,
+        pageY,
+        layout: rowsLayouts[activeRowKey],
+        // Groups of rows can not be dragged to other lists.
+        canMoveToList: !this._draggedGroup,
+      });
+
+      this._dragTargetList = targetList;
+      this._dragTargetZone = targetZone;
+      this._updateDragPreview();
+
+      // The row is over another list or a zone, so this list should not be reordered or scrolled.
+      if (this._dragTargetList || this._dragTargetZone) {
+        this._stopAutoScroll();
+        return;
+      }
+    }
+
+    if (this.props.tree) {
+      const draggedDepth = Math.max(
+        0,
+        this._dragStartDepth + Math.round(dx / this.props.indentationWidth)
+      );
+
+      if (draggedDepth !== this.state.draggedDepth) {
+        this.setState({draggedDepth});
+      }
+    }
+
     this._setOrderOnMove();
 
     if (this.props.scrollEnabled) {
-      this._scrollOnMove(e);
+      this._scrollOnMove({pageX, pageY});
     }
-  };
+  }
 
   _onScroll = ({nativeEvent: {contentOffset}}) => {
       this._contentOffset = contentOffset;
+      this._updateVisibleRange();
   };
 
   _onRefContainer = (component) => {
@@ -650,4 +2663,22 @@ const styles = StyleSheet.create({
     flex: 1,
     zIndex: 1,
   },
+
+  placeholder: {
+    position: 'absolute',
+    [ZINDEX]: 50,
+  },
+
+  insertionLine: {
+    height: 2,
+    marginTop: -1,
+    backgroundColor: '#007aff',
+  },
+
+  verticalInsertionLine: {
+    flex: 1,
+    width: 2,
+    marginLeft: -1,
+    backgroundColor: '#007aff',
+  },
 });
\ No newline at end of file
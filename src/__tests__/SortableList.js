@@ -0,0 +1,386 @@
+import React from 'react';
+import {AccessibilityInfo, Text} from 'react-native';
+import SortableList from '../SortableList';
+import {mountSortableList} from '../testing';
+
+jest.mock('react-native/Libraries/Animated/src/NativeAnimatedHelper');
+
+const renderRow = ({data}) => <Text>{data}</Text>;
+// Rows are relocated immediately, so no animation outlives a test.
+const animationConfig = {type: 'timing', duration: 0};
+const wait = (time) => new Promise((resolve) => setTimeout(resolve, time));
+
+const getData = (count) => {
+  const data = {};
+
+  for (let i = 0; i < count; i++) {
+    data[`row${i}`] = `Row ${i}`;
+  }
+
+  return data;
+};
+
+const mountList = (props, options) => mountSortableList(
+  <SortableList renderRow={renderRow} animationConfig={animationConfig} {...props} />,
+  options
+);
+
+describe('SortableList', () => {
+  const {requestAnimationFrame, cancelAnimationFrame} = global;
+
+  beforeEach(() => {
+    // React Native’s Jest setup calls frames without timestamps, which autoscroll relies on.
+    global.requestAnimationFrame = (callback) => setTimeout(() => callback(Date.now()), 16);
+    global.cancelAnimationFrame = (id) => clearTimeout(id);
+  });
+
+  afterEach(() => {
+    global.requestAnimationFrame = requestAnimationFrame;
+    global.cancelAnimationFrame = cancelAnimationFrame;
+  });
+
+  it('swaps neighbours and reports the order on release', async () => {
+    const onChangeOrder = jest.fn();
+    const list = await mountList({data: getData(3), onChangeOrder});
+
+    await list.longPress('row0');
+    list.move({dy: 30});
+
+    expect(list.getOrder()).toEqual(['row1', 'row0', 'row2']);
+
+    list.release();
+
+    expect(onChangeOrder).toHaveBeenCalledTimes(1);
+    expect(onChangeOrder.mock.calls[0][0]).toEqual(['row1', 'row0', 'row2']);
+    expect(onChangeOrder.mock.calls[0][1]).toEqual(['Row 1', 'Row 0', 'Row 2']);
+    expect(onChangeOrder.mock.calls[0][2]).toEqual([{key: 'row1', from: 1, to: 0}]);
+  });
+
+  it('reports the undone order last, when a drop is undone at once', async () => {
+    const onChangeOrder = jest.fn();
+    const list = await mountList({data: getData(3), onChangeOrder});
+
+    await list.longPress('row0');
+    list.move({dy: 30});
+    list.release();
+    list.instance.undo();
+    await wait(500);
+
+    expect(list.getOrder()).toEqual(['row0', 'row1', 'row2']);
+    expect(onChangeOrder.mock.calls.map(([order]) => order)).toEqual([
+      ['row1', 'row0', 'row2'],
+      ['row0', 'row1', 'row2'],
+    ]);
+  });
+
+  it('reports public orders and indices inside sections to drag callbacks', async () => {
+    const onDragStart = jest.fn();
+    const onRowMoved = jest.fn();
+    const onDragEnd = jest.fn();
+    const sections = [
+      {key: 's1', data: {a: 'A', b: 'B'}},
+      {key: 's2', data: {c: 'C'}},
+    ];
+    const list = await mountList({
+      sections,
+      renderSectionHeader: () => <Text>Section</Text>,
+      onDragStart,
+      onRowMoved,
+      onDragEnd,
+    });
+
+    await list.longPress('b');
+    list.move({dy: 60});
+    list.release();
+
+    expect(onDragStart.mock.calls[0][0]).toMatchObject({
+      key: 'b',
+      fromIndex: 1,
+      toIndex: 1,
+      order: {s1: ['a', 'b'], s2: ['c']},
+    });
+    expect(onRowMoved.mock.calls[0][0]).toMatchObject({
+      key: 'b',
+      fromIndex: 1,
+      toIndex: 0,
+      order: {s1: ['a'], s2: ['b', 'c']},
+    });
+    expect(onDragEnd.mock.calls[0][0]).toMatchObject({
+      key: 'b',
+      fromIndex: 1,
+      toIndex: 0,
+      order: {s1: ['a'], s2: ['b', 'c']},
+      cancelled: false,
+    });
+  });
+
+  it('reports moves to other sections with ranks between neighbours in the section', async () => {
+    const onChangeOrder = jest.fn();
+    const ranks = {a: 1, b: 2, c: 1};
+    const sections = [
+      {key: 's1', data: {a: 'A', b: 'B'}},
+      {key: 's2', data: {c: 'C'}},
+    ];
+    const list = await mountList({
+      sections,
+      renderSectionHeader: () => <Text>Section</Text>,
+      getRowRank: (key) => ranks[key],
+      onChangeOrder,
+    });
+
+    await list.longPress('b');
+    list.move({dy: 60});
+    list.release();
+
+    expect(onChangeOrder.mock.calls[0][0]).toEqual({s1: ['a'], s2: ['b', 'c']});
+    expect(onChangeOrder.mock.calls[0][2]).toEqual([
+      {key: 'b', from: 1, to: 0, fromSection: 's1', toSection: 's2', rank: 0},
+    ]);
+  });
+
+  it('passes public orders and indices inside sections to canMoveRow and onDropRequest', async () => {
+    const canMoveRow = jest.fn(() => true);
+    const onDropRequest = jest.fn(() => 0);
+    const sections = [
+      {key: 's1', data: {a: 'A', b: 'B'}},
+      {key: 's2', data: {c: 'C', d: 'D'}},
+    ];
+    const list = await mountList({
+      sections,
+      renderSectionHeader: () => <Text>Section</Text>,
+      canMoveRow,
+      onDropRequest,
+    });
+
+    await list.longPress('b');
+    list.move({dy: 60});
+    list.move({dy: 110});
+    list.release();
+
+    expect(canMoveRow.mock.calls[0][0]).toEqual({
+      key: 'b',
+      fromIndex: 1,
+      toIndex: 0,
+      order: {s1: ['a', 'b'], s2: ['c', 'd']},
+    });
+    expect(onDropRequest.mock.calls[0][0]).toEqual({
+      key: 'b',
+      fromIndex: 1,
+      toIndex: 1,
+      order: {s1: ['a'], s2: ['c', 'b', 'd']},
+    });
+    // The returned index is the first slot of the section, not the header.
+    expect(list.getOrder()).toEqual({s1: ['a'], s2: ['b', 'c', 'd']});
+  });
+
+  it('cancels the drag with the next order, when the active row is removed', async () => {
+    const onDragEnd = jest.fn();
+    const list = await mountList({data: getData(3), onDragEnd});
+
+    await list.longPress('row1');
+    list.move({dy: 30});
+    await list.update(
+      <SortableList
+        data={{row0: 'Row 0', row2: 'Row 2'}}
+        renderRow={renderRow}
+        animationConfig={animationConfig}
+        onDragEnd={onDragEnd}
+      />
+    );
+
+    expect(list.instance.state.activeRowKey).toBe(null);
+    expect(list.getOrder()).toEqual(['row0', 'row2']);
+    expect(onDragEnd.mock.calls[0][0]).toMatchObject({
+      key: 'row1',
+      fromIndex: 1,
+      toIndex: -1,
+      order: ['row0', 'row2'],
+      cancelled: true,
+    });
+  });
+
+  it('moves rows by accessibility actions and announces positions', async () => {
+    const announce = jest.spyOn(AccessibilityInfo, 'announceForAccessibility').mockImplementation(() => {});
+    const list = await mountList({
+      data: getData(3),
+      getRowAccessibilityLabel: (key) => `Label of ${key}`,
+    });
+    const rowView = list.renderer.root.find((node) =>
+      typeof node.type === 'string' && node.props.accessibilityLabel === 'Label of row0'
+    );
+
+    expect(rowView.props.accessible).toBe(true);
+
+    rowView.props.onAccessibilityAction({nativeEvent: {actionName: 'moveToBottom'}});
+    await wait(0);
+
+    expect(list.getOrder()).toEqual(['row1', 'row2', 'row0']);
+    expect(announce).toHaveBeenCalledWith('Moved to position 3 of 3');
+
+    announce.mockRestore();
+  });
+
+  it('shifts rows, when the active row skips over them', async () => {
+    const list = await mountList({data: getData(5)});
+
+    await list.longPress('row0');
+    list.moveToIndex(3);
+
+    expect(list.getOrder()).toEqual(['row1', 'row2', 'row3', 'row0', 'row4']);
+
+    list.release();
+
+    expect(list.getOrder()).toEqual(['row1', 'row2', 'row3', 'row0', 'row4']);
+  });
+
+  it('restores the order, when the drag is cancelled', async () => {
+    const list = await mountList({data: getData(3)});
+
+    await list.longPress('row0');
+    list.move({dy: 30});
+    list.terminate();
+
+    expect(list.getOrder()).toEqual(['row0', 'row1', 'row2']);
+  });
+
+  it('applies the last location on release, while reorders are throttled', async () => {
+    const list = await mountList({data: getData(4), reorderThrottle: 1000});
+
+    await list.longPress('row0');
+    list.move({dy: 30});
+    list.move({dy: 130});
+
+    expect(list.getOrder()).toEqual(['row1', 'row0', 'row2', 'row3']);
+
+    list.release();
+
+    expect(list.getOrder()).toEqual(['row1', 'row2', 'row0', 'row3']);
+  });
+
+  it('throttles onDragMove with reorders and reports the last move on release', async () => {
+    const onDragMove = jest.fn();
+    const list = await mountList({data: getData(4), reorderThrottle: 1000, onDragMove});
+
+    await list.longPress('row0');
+    list.move({dy: 10});
+    list.move({dy: 20});
+    list.move({dy: 30});
+
+    expect(onDragMove).toHaveBeenCalledTimes(1);
+
+    list.release();
+
+    expect(onDragMove).toHaveBeenCalledTimes(2);
+    expect(list.getOrder()).toEqual(['row1', 'row0', 'row2', 'row3']);
+  });
+
+  it('reorders rows on every move with the default options of the driver', async () => {
+    const list = await mountList({data: getData(4)});
+
+    await list.longPress('row0');
+    list.move({dy: 30});
+    list.move({dy: 80});
+
+    expect(list.getOrder()).toEqual(['row1', 'row2', 'row0', 'row3']);
+
+    list.release();
+  });
+
+  it('moves rows around locked rows, which can not be dragged', async () => {
+    const list = await mountList({data: getData(3), isRowLocked: (key) => key === 'row1'});
+
+    expect(list.pressIn('row1')).toBe(false);
+
+    await list.longPress('row0');
+    list.moveToIndex(2);
+    list.release();
+
+    expect(list.getOrder()).toEqual(['row2', 'row1', 'row0']);
+  });
+
+  it('keeps rows still in the placeholder mode and reorders them on release', async () => {
+    const list = await mountList({data: getData(4), placeholderMode: true});
+
+    await list.longPress('row0');
+    list.moveToIndex(2);
+
+    expect(list.getOrder()).toEqual(['row0', 'row1', 'row2', 'row3']);
+    expect(list.instance.state.placeholderIndex).toBe(2);
+
+    list.release();
+
+    expect(list.getOrder()).toEqual(['row1', 'row2', 'row0', 'row3']);
+  });
+
+  it('drops selected rows as a block with the dragged row', async () => {
+    const onChangeOrder = jest.fn();
+    const list = await mountList({data: getData(5), selectedKeys: ['row0', 'row2'], onChangeOrder});
+
+    await list.longPress('row0');
+    list.moveToIndex(3);
+    list.release();
+
+    expect(list.getOrder()).toEqual(['row1', 'row3', 'row4', 'row0', 'row2']);
+    expect(onChangeOrder).toHaveBeenCalledTimes(1);
+  });
+
+  it('reorders rows inside and across sections', async () => {
+    const sections = [
+      {key: 's1', data: {a: 'A', b: 'B'}},
+      {key: 's2', data: {c: 'C', d: 'D'}},
+    ];
+    const list = await mountList({sections, renderSectionHeader: () => <Text>Section</Text>});
+
+    await list.longPress('a');
+    list.move({dy: 30});
+    list.release();
+
+    expect(list.getOrder()).toEqual({s1: ['b', 'a'], s2: ['c', 'd']});
+
+    await list.longPress('a');
+    list.moveToIndex(4);
+    list.release();
+
+    expect(list.getOrder()).toEqual({s1: ['b'], s2: ['c', 'a', 'd']});
+  });
+
+  it('scrolls to the target and stops, when a row is dragged programmatically to a hidden index', async () => {
+    const list = await mountList({data: getData(20)});
+
+    expect(list.instance.startDrag('row0')).toBe(true);
+
+    list.instance.dragTo(12, {animated: false});
+
+    // Rows 3–12 are shown in the 480 points high container.
+    expect(list.instance._contentOffset.y).toBe(170);
+
+    await wait(300);
+
+    expect(list.getOrder().indexOf('row0')).toBe(12);
+
+    list.instance.endDrag();
+
+    expect(list.getOrder().indexOf('row0')).toBe(12);
+  });
+
+  it('scrolls, while the active row is held at the edge, and reorders rows under it', async () => {
+    const list = await mountList({data: getData(20)});
+
+    await list.longPress('row2');
+    // The touch is held inside the autoscroll area at the bottom.
+    list.move({dy: 340});
+
+    const indexBeforeScroll = list.getOrder().indexOf('row2');
+
+    await wait(300);
+
+    expect(list.instance._contentOffset.y).toBeGreaterThan(0);
+    expect(list.getOrder().indexOf('row2')).toBeGreaterThan(indexBeforeScroll);
+
+    list.release();
+    const offset = list.instance._contentOffset.y;
+    await wait(100);
+
+    expect(list.instance._contentOffset.y).toBe(offset);
+  });
+});
@@ -0,0 +1,345 @@
+import React from 'react';
+import renderer from 'react-test-renderer';
+
+const DEFAULT_CONTAINER_LAYOUT = {x: 0, y: 0, width: 320, height: 480, pageX: 0, pageY: 0};
+const DEFAULT_ROW_LAYOUT = {width: 320, height: 50};
+const EMPTY_LAYOUT = {x: 0, y: 0, width: 0, height: 0};
+// All simulated touches start on the same view, rows check that moves target it.
+const TOUCH_TARGET = 1;
+
+/**
+ * Renders a sortable list with the test renderer, lays out its rows with mocked layouts
+ * and resolves with a driver, which simulates gestures through rows’ pan handlers.
+ *
+ * Options:
+ * - containerLayout: {x, y, width, height, pageX, pageY} of the list.
+ * - rowLayout: {width, height} of every row or a function (key, index) => {width, height}.
+ * - headerLayout, footerLayout: {width, height} of the header and the footer.
+ * - reorderThrottle: is passed to the list, unless the list gets another one than its default,
+ *   0 by default, so rows are reordered on every move.
+ */
+export function mountSortableList(element, options = {}) {
+  const driver = new SortableListDriver(element, options);
+
+  return driver.layout().then(() => driver);
+}
+
+export class SortableListDriver {
+  constructor(element, {
+    containerLayout = DEFAULT_CONTAINER_LAYOUT,
+    rowLayout = DEFAULT_ROW_LAYOUT,
+    headerLayout = EMPTY_LAYOUT,
+    footerLayout = EMPTY_LAYOUT,
+    reorderThrottle = 0,
+  } = {}) {
+    this._containerLayout = containerLayout;
+    this._rowLayout = rowLayout;
+    this._headerLayout = headerLayout;
+    this._footerLayout = footerLayout;
+    this._reorderThrottle = reorderThrottle;
+    this._touch = null;
+    this._renderer = renderer.create(this._prepareElement(element), {
+      createNodeMock: this._createNodeMock,
+    });
+  }
+
+  get renderer() {
+    return this._renderer;
+  }
+
+  /**
+   * The mounted SortableList component.
+   */
+  get instance() {
+    return this._renderer.getInstance();
+  }
+
+  /**
+   * Returns the current order, as it is passed to `onChangeOrder`.
+   */
+  getOrder() {
+    return this.instance._getPublicOrder(this.instance.state.order);
+  }
+
+  getRow(key) {
+    return this.instance._rows[this.instance._getInternalKey(key)] || null;
+  }
+
+  /**
+   * Lays out mounted rows, the header and the footer, and waits until the list applies layouts.
+   */
+  layout() {
+    const list = this.instance;
+
+    this._mockNativeMethods();
+
+    if (list._resolveHeaderLayout) {
+      list._onLayoutHeader({nativeEvent: {layout: {...EMPTY_LAYOUT, ...this._headerLayout}}});
+    }
+
+    if (list._resolveFooterLayout) {
+      list._onLayoutFooter({nativeEvent: {layout: {...EMPTY_LAYOUT, ...this._footerLayout}}});
+    }
+
+    list.state.order.forEach((key, index) => {
+      const row = list._rows[key];
+
+      if (row) {
+        row._onLayout({nativeEvent: {layout: {...EMPTY_LAYOUT, ...this._getRowLayout(key, index)}}});
+      }
+    });
+
+    return this._waitForLayouts();
+  }
+
+  /**
+   * Renders the next element and lays out added rows.
+   */
+  update(element) {
+    this._renderer.update(this._prepareElement(element));
+
+    return this.layout();
+  }
+
+  unmount() {
+    this._renderer.unmount();
+  }
+
+  /**
+   * Touches the row. Returns false, if the row does not handle touches (e.g. it is locked).
+   * The row is activated after its `activationTime`, run timers, when they are mocked.
+   */
+  pressIn(key) {
+    const row = this.getRow(key);
+
+    if (!row) {
+      throw new Error(`The row ${key} is not mounted.`);
+    }
+
+    const {x, y} = this._getRowPageCenter(key);
+    const timestamp = Date.now();
+
+    this._row = row;
+    this._touch = {
+      touchActive: true,
+      startPageX: x,
+      startPageY: y,
+      startTimeStamp: timestamp,
+      currentPageX: x,
+      currentPageY: y,
+      currentTimeStamp: timestamp,
+      previousPageX: x,
+      previousPageY: y,
+      previousTimeStamp: timestamp,
+    };
+
+    const {panHandlers} = row._panResponder;
+    const e = this._createEvent();
+
+    panHandlers.onStartShouldSetResponderCapture(e);
+
+    if (!panHandlers.onStartShouldSetResponder(e)) {
+      this._row = null;
+      this._touch = null;
+      return false;
+    }
+
+    panHandlers.onResponderGrant(e);
+
+    return true;
+  }
+
+  /**
+   * Touches the row and resolves, when it is activated.
+   */
+  longPress(key) {
+    if (!this.pressIn(key)) {
+      return Promise.resolve(false);
+    }
+
+    // The row’s `activationTime` falls back to its default, when `rowActivationTime` is not passed.
+    const {activationTime} = this._row.props;
+
+    return new Promise((resolve) => {
+      setTimeout(() => resolve(true), activationTime);
+    });
+  }
+
+  /**
+   * Moves the touch by the offset from the point, where it started.
+   */
+  move({dx = 0, dy = 0}) {
+    const touch = this._getTouch();
+    const timestamp = Math.max(Date.now(), touch.currentTimeStamp + 1);
+
+    this._touch = {
+      ...touch,
+      currentPageX: touch.startPageX + dx,
+      currentPageY: touch.startPageY + dy,
+      currentTimeStamp: timestamp,
+      previousPageX: touch.currentPageX,
+      previousPageY: touch.currentPageY,
+      previousTimeStamp: touch.currentTimeStamp,
+    };
+
+    this._row._panResponder.panHandlers.onResponderMove(this._createEvent());
+  }
+
+  /**
+   * Moves the touch to the center of the row at the index in the current order.
+   */
+  moveToIndex(index) {
+    const list = this.instance;
+    const {order} = list.state;
+    const toKey = order[Math.max(0, Math.min(index, order.length - 1))];
+    const {x, y} = this._getRowPageCenter(list._getPublicKey(toKey));
+    const touch = this._getTouch();
+
+    this.move({dx: x - touch.startPageX, dy: y - touch.startPageY});
+  }
+
+  release() {
+    this._endTouch('onResponderRelease');
+  }
+
+  /**
+   * Ends the touch, as if the responder was taken by another view (e.g. a scroll view).
+   */
+  terminate() {
+    this._endTouch('onResponderTerminate');
+  }
+
+  /**
+   * Taps the row.
+   */
+  press(key) {
+    if (this.pressIn(key)) {
+      this.release();
+    }
+  }
+
+  _endTouch(handlerName) {
+    this._getTouch();
+    this._touch = {...this._touch, touchActive: false};
+
+    const row = this._row;
+    const e = this._createEvent();
+
+    this._row = null;
+    this._touch = null;
+    row._panResponder.panHandlers[handlerName](e);
+  }
+
+  _getTouch() {
+    if (!this._touch) {
+      throw new Error('There is no touch, call pressIn() or longPress() first.');
+    }
+
+    return this._touch;
+  }
+
+  _createEvent() {
+    const touch = this._touch;
+    const layout = this._row._layout || EMPTY_LAYOUT;
+
+    return {
+      persist() {},
+      nativeEvent: {
+        target: TOUCH_TARGET,
+        pageX: touch.currentPageX,
+        pageY: touch.currentPageY,
+        locationX: layout.width / 2 + touch.currentPageX - touch.startPageX,
+        locationY: layout.height / 2 + touch.currentPageY - touch.startPageY,
+        timestamp: touch.currentTimeStamp,
+        touches: [],
+        changedTouches: [],
+      },
+      touchHistory: {
+        touchBank: [touch],
+        numberActiveTouches: touch.touchActive ? 1 : 0,
+        indexOfSingleActiveTouch: 0,
+        mostRecentTimeStamp: touch.currentTimeStamp,
+      },
+    };
+  }
+
+  _getRowLayout(key, index) {
+    const list = this.instance;
+
+    return typeof this._rowLayout === 'function'
+      ? this._rowLayout(list._getPublicKey(key), index)
+      : this._rowLayout;
+  }
+
+  /**
+   * Returns the page point of the row’s center with the list’s scroll.
+   */
+  _getRowPageCenter(key) {
+    const list = this.instance;
+    const {order, rowsLayouts} = list.state;
+
+    if (!rowsLayouts) {
+      throw new Error('Rows are not laid out yet.');
+    }
+
+    const rowKey = list._getInternalKey(key);
+    const location = list._getRowsLocations(order, rowsLayouts)[order.indexOf(rowKey)];
+
+    return list._getPagePoint(location, rowsLayouts[rowKey]);
+  }
+
+  _prepareElement(element) {
+    const {defaultProps = {}} = element.type;
+
+    // Default props are resolved already, so a passed default value can not be told apart.
+    if (element.props.reorderThrottle !== defaultProps.reorderThrottle) {
+      return element;
+    }
+
+    return React.cloneElement(element, {reorderThrottle: this._reorderThrottle});
+  }
+
+  /**
+   * Jest mocks of views do not implement native methods, so the list’s container
+   * is measured with the mocked layout and scrolls are not applied.
+   */
+  _mockNativeMethods() {
+    const list = this.instance;
+    const {measure, scrollTo} = this._createNodeMock();
+
+    if (list._container) {
+      list._container.measure = measure;
+    }
+
+    if (list._scrollView) {
+      list._scrollView.scrollTo = scrollTo;
+    }
+  }
+
+  _waitForLayouts() {
+    // Layouts are applied after a few resolved promises.
+    let attempts = 10;
+    const check = () => {
+      if (this.instance.state.rowsLayouts) {
+        return undefined;
+      }
+
+      if (attempts-- === 0) {
+        throw new Error('The list did not apply layouts of rows.');
+      }
+
+      return Promise.resolve().then(check);
+    };
+
+    return Promise.resolve().then(check);
+  }
+
+  _createNodeMock = () => {
+    const {x, y, width, height, pageX, pageY} = this._containerLayout;
+
+    return {
+      measure: (callback) => callback(x, y, width, height, pageX, pageY),
+      scrollTo() {},
+    };
+  };
+}
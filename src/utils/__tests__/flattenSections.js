@@ -0,0 +1,29 @@
+import flattenSections from '../flattenSections';
+import getSectionsOrder from '../getSectionsOrder';
+
+describe('flattenSections', () => {
+  const sections = [
+    {key: 's1', data: {a: 'A', b: 'B'}, order: ['b', 'a']},
+    {key: 's2', data: {a: 'A2'}},
+  ];
+
+  it('precedes rows with headers and keeps keys of rows unique across sections', () => {
+    const {data, order, headersKeys, rowsKeys} = flattenSections(sections);
+
+    expect(order).toEqual([
+      '["s1"]', '["s1","b"]', '["s1","a"]',
+      '["s2"]', '["s2","a"]',
+    ]);
+    expect(data['["s1"]']).toBe(sections[0]);
+    expect(data['["s2","a"]']).toBe('A2');
+    expect(headersKeys).toEqual({'["s1"]': 's1', '["s2"]': 's2'});
+    expect(rowsKeys).toEqual({'["s1","b"]': 'b', '["s1","a"]': 'a', '["s2","a"]': 'a'});
+  });
+
+  it('is reverted by getSectionsOrder', () => {
+    const flatSections = flattenSections(sections);
+    const [s1, b, a, s2, a2] = flatSections.order;
+
+    expect(getSectionsOrder([s1, a, s2, b, a2], flatSections)).toEqual({s1: ['a'], s2: ['b', 'a']});
+  });
+});
@@ -0,0 +1,29 @@
+import getOrderMoves from '../getOrderMoves';
+
+describe('getOrderMoves', () => {
+  it('returns no moves for the same order', () => {
+    expect(getOrderMoves(['a', 'b', 'c'], ['a', 'b', 'c'])).toEqual([]);
+  });
+
+  it('moves a single row, when the others keep their relative order', () => {
+    expect(getOrderMoves(['a', 'b', 'c', 'd'], ['b', 'c', 'd', 'a'])).toEqual([
+      {key: 'a', from: 0, to: 3},
+    ]);
+    expect(getOrderMoves(['a', 'b', 'c', 'd'], ['d', 'a', 'b', 'c'])).toEqual([
+      {key: 'd', from: 3, to: 0},
+    ]);
+  });
+
+  it('keeps the longest sequence in place and sorts moves by next indices', () => {
+    expect(getOrderMoves(['a', 'b', 'c', 'd', 'e'], ['e', 'b', 'c', 'a', 'd'])).toEqual([
+      {key: 'e', from: 4, to: 0},
+      {key: 'a', from: 0, to: 3},
+    ]);
+  });
+
+  it('ignores added and removed rows', () => {
+    expect(getOrderMoves(['a', 'b', 'c'], ['x', 'c', 'a'])).toEqual([
+      {key: 'c', from: 2, to: 1},
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import getRankBetween from '../getRankBetween';
+
+describe('getRankBetween', () => {
+  it('returns fractional ranks between numbers', () => {
+    expect(getRankBetween(1, 2)).toBe(1.5);
+    expect(getRankBetween(undefined, 2)).toBe(1);
+    expect(getRankBetween(1, undefined)).toBe(2);
+  });
+
+  it('returns lexicographic ranks between strings', () => {
+    const ranks = [
+      getRankBetween('a', 'b'),
+      getRankBetween('a', 'a1'),
+      getRankBetween('az', 'b'),
+      getRankBetween(undefined, 'b'),
+      getRankBetween('y', undefined),
+      getRankBetween(undefined, undefined),
+    ];
+    const bounds = [['a', 'b'], ['a', 'a1'], ['az', 'b'], ['', 'b'], ['y', null], ['', null]];
+
+    ranks.forEach((rank, index) => {
+      const [prevRank, nextRank] = bounds[index];
+
+      expect(rank > prevRank).toBe(true);
+      expect(nextRank === null || rank < nextRank).toBe(true);
+      expect(rank).toMatch(/^[0-9a-z]*[1-9a-z]$/);
+    });
+  });
+
+  it('always finds a rank between close strings', () => {
+    let prevRank = 'a';
+    let nextRank = 'b';
+
+    for (let i = 0; i < 50; i++) {
+      const rank = getRankBetween(prevRank, nextRank);
+
+      expect(rank > prevRank && rank < nextRank).toBe(true);
+
+      if (i % 2) {
+        prevRank = rank;
+      } else {
+        nextRank = rank;
+      }
+    }
+  });
+});
@@ -0,0 +1,26 @@
+import getTreeChanges from '../getTreeChanges';
+
+describe('getTreeChanges', () => {
+  const order = ['a', 'a1', 'a2', 'b'];
+  const parentKeys = {a: null, a1: 'a', a2: 'a', b: null};
+
+  it('returns no changes for the same tree', () => {
+    expect(getTreeChanges(order, parentKeys, order, parentKeys)).toEqual([]);
+  });
+
+  it('returns rows, which changed indices among siblings', () => {
+    expect(getTreeChanges(order, parentKeys, ['a', 'a2', 'a1', 'b'], parentKeys)).toEqual([
+      {key: 'a2', parentKey: 'a', index: 0},
+      {key: 'a1', parentKey: 'a', index: 1},
+    ]);
+  });
+
+  it('returns rows, which changed parents', () => {
+    const nextParentKeys = {...parentKeys, a2: null};
+
+    expect(getTreeChanges(order, parentKeys, order, nextParentKeys)).toEqual([
+      {key: 'a2', parentKey: null, index: 1},
+      {key: 'b', parentKey: null, index: 2},
+    ]);
+  });
+});
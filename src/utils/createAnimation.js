@@ -0,0 +1,21 @@
+import {Animated} from 'react-native';
+
+/**
+ * Creates an animation of the value by the config:
+ * `{type: 'timing' | 'spring', ...config}` or `(value, toValue, {useNativeDriver}) => Animated.CompositeAnimation`.
+ * The native driver is used, when it is allowed for the value and the config does not disable it,
+ * functions get whether it is allowed.
+ */
+export default function createAnimation(value, toValue, config, {useNativeDriver = false} = {}) {
+  if (typeof config === 'function') {
+    return config(value, toValue, {useNativeDriver});
+  }
+
+  const {type = 'timing', ...animationConfig} = config;
+
+  return Animated[type === 'spring' ? 'spring' : 'timing'](value, {
+    ...animationConfig,
+    useNativeDriver: useNativeDriver && animationConfig.useNativeDriver !== false,
+    toValue,
+  });
+}
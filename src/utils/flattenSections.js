@@ -0,0 +1,28 @@
+/**
+ * Converts sections to flat data and order, where every section is preceded by its header.
+ * Keys of rows are prefixed with keys of their initial sections, so they stay unique across sections.
+ */
+export default function flattenSections(sections) {
+  const data = {};
+  const order = [];
+  const headersKeys = {};
+  const rowsKeys = {};
+
+  sections.forEach((section) => {
+    const headerKey = JSON.stringify([section.key]);
+
+    order.push(headerKey);
+    data[headerKey] = section;
+    headersKeys[headerKey] = section.key;
+
+    (section.order || Object.keys(section.data)).forEach((rowKey) => {
+      const key = JSON.stringify([section.key, rowKey]);
+
+      order.push(key);
+      data[key] = section.data[rowKey];
+      rowsKeys[key] = rowKey;
+    });
+  });
+
+  return {data, order, headersKeys, rowsKeys};
+}
@@ -0,0 +1,55 @@
+/**
+ * Returns a minimal list of moves [{key, from, to}], which turn the previous order into the next one.
+ * Rows of the longest sequence, which keeps its relative order, are not moved.
+ * `from` is an index in the previous order, `to` is an index in the next order.
+ */
+export default function getOrderMoves(prevOrder, order) {
+  const prevIndices = {};
+
+  prevOrder.forEach((key, index) => {
+    prevIndices[key] = index;
+  });
+
+  const keys = order.filter((key) => prevIndices.hasOwnProperty(key));
+  const stableKeys = getLongestIncreasingSequence(keys, prevIndices);
+
+  return order
+    .map((key, index) => ({key, from: prevIndices[key], to: index}))
+    .filter(({key}) => prevIndices.hasOwnProperty(key) && !stableKeys.hasOwnProperty(key));
+}
+
+/**
+ * Returns keys (as an object for lookups), whose previous indices form the longest increasing sequence.
+ */
+function getLongestIncreasingSequence(keys, prevIndices) {
+  // Indices of keys, which end increasing sequences of every length.
+  const tails = [];
+  const predecessors = [];
+
+  keys.forEach((key, index) => {
+    const value = prevIndices[key];
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+
+      if (prevIndices[keys[tails[middle]]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    predecessors[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const sequence = {};
+
+  for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = predecessors[index]) {
+    sequence[keys[index]] = true;
+  }
+
+  return sequence;
+}
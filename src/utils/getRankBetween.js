@@ -0,0 +1,45 @@
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Returns a rank between two ranks, the ranks could be undefined at the beginning and the end.
+ * Numbers get a fractional rank, strings get a lexicographic rank of digits and lowercase letters
+ * (such ranks never end with '0', so there is always a rank before them).
+ */
+export default function getRankBetween(prevRank, nextRank) {
+  if (typeof prevRank === 'number' || typeof nextRank === 'number') {
+    if (prevRank === undefined) {
+      return nextRank - 1;
+    }
+
+    return nextRank === undefined ? prevRank + 1 : (prevRank + nextRank) / 2;
+  }
+
+  return getMiddleString(prevRank || '', nextRank === undefined ? null : nextRank);
+}
+
+function getMiddleString(prev, next) {
+  if (next !== null) {
+    let commonLength = 0;
+
+    while ((prev[commonLength] || '0') === next[commonLength]) {
+      commonLength++;
+    }
+
+    if (commonLength > 0) {
+      return next.slice(0, commonLength) + getMiddleString(prev.slice(commonLength), next.slice(commonLength));
+    }
+  }
+
+  const prevDigit = prev ? DIGITS.indexOf(prev[0]) : 0;
+  const nextDigit = next !== null ? DIGITS.indexOf(next[0]) : DIGITS.length;
+
+  if (nextDigit - prevDigit > 1) {
+    return DIGITS[Math.round((prevDigit + nextDigit) / 2)];
+  }
+
+  if (next !== null && next.length > 1) {
+    return next.slice(0, 1);
+  }
+
+  return DIGITS[prevDigit] + getMiddleString(prev.slice(1), null);
+}
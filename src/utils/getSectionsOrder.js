@@ -0,0 +1,18 @@
+/**
+ * Converts the flat order back to orders of rows’ keys by sections’ keys.
+ */
+export default function getSectionsOrder(order, {headersKeys, rowsKeys}) {
+  const sectionsOrder = {};
+  let sectionKey = null;
+
+  order.forEach((key) => {
+    if (headersKeys.hasOwnProperty(key)) {
+      sectionKey = headersKeys[key];
+      sectionsOrder[sectionKey] = [];
+    } else {
+      sectionsOrder[sectionKey].push(rowsKeys[key]);
+    }
+  });
+
+  return sectionsOrder;
+}
@@ -0,0 +1,30 @@
+/**
+ * Compares positions of rows in a tree before and after a reorder.
+ * Returns [{key, parentKey, index}] for rows, which changed a parent or an index among siblings.
+ */
+export default function getTreeChanges(prevOrder, prevParentKeys, order, parentKeys) {
+  const prevPositions = getPositions(prevOrder, prevParentKeys);
+  const positions = getPositions(order, parentKeys);
+
+  return order
+    .filter((key) => !prevPositions.hasOwnProperty(key) ||
+      prevPositions[key].parentKey !== positions[key].parentKey ||
+      prevPositions[key].index !== positions[key].index
+    )
+    .map((key) => ({key, ...positions[key]}));
+}
+
+function getPositions(order, parentKeys) {
+  const positions = {};
+  const childrenCounts = {};
+
+  order.forEach((key) => {
+    const parentKey = parentKeys[key] == null ? null : parentKeys[key];
+    const index = childrenCounts[parentKey] || 0;
+
+    childrenCounts[parentKey] = index + 1;
+    positions[key] = {parentKey, index};
+  });
+
+  return positions;
+}
@@ -1,7 +1,19 @@
+import createAnimation from './createAnimation';
+import flattenSections from './flattenSections';
+import getOrderMoves from './getOrderMoves';
+import getRankBetween from './getRankBetween';
+import getSectionsOrder from './getSectionsOrder';
+import getTreeChanges from './getTreeChanges';
 import shallowEqual from './shallowEqual';
 import swapArrayElements from './swapArrayElements';
 
 export {
+  createAnimation,
+  flattenSections,
+  getOrderMoves,
+  getRankBetween,
+  getSectionsOrder,
+  getTreeChanges,
   shallowEqual,
   swapArrayElements
 };
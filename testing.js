@@ -0,0 +1,3 @@
+import {mountSortableList, SortableListDriver} from './src/testing';
+
+export {mountSortableList, SortableListDriver};